@@ -132,6 +132,18 @@ export class MotoricaUserAdapter extends UserAdapter {
         now
       ]);
 
+      // Metered counters of the current billing period (calendar month, UTC)
+      if (usage.messages_received || usage.bytes_received) {
+        await this.storageAdapter.query(`
+          INSERT INTO usage_periods (user_id, period_start, messages_received, bytes_received, updated_at)
+          VALUES ($1, date_trunc('month', $4::timestamptz AT TIME ZONE 'UTC')::date, $2, $3, $4)
+          ON CONFLICT (user_id, period_start) DO UPDATE SET
+            messages_received = usage_periods.messages_received + EXCLUDED.messages_received,
+            bytes_received = usage_periods.bytes_received + EXCLUDED.bytes_received,
+            updated_at = EXCLUDED.updated_at
+        `, [userId, usage.messages_received || 0, usage.bytes_received || 0, now]);
+      }
+
       return true;
     } catch (error) {
       throw new Error(`Failed to update usage: ${error.message}`);
@@ -157,37 +169,40 @@ export class MotoricaUserAdapter extends UserAdapter {
 
       const usage = usageResult.rows[0] || {};
 
-      // Get period usage (current month)
-      const startOfMonth = new Date();
-      startOfMonth.setDate(1);
-      startOfMonth.setHours(0, 0, 0, 0);
+      // Current billing period (calendar month, UTC) as metered by intake
+      const now = new Date();
+      const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const periodResult = await this.storageAdapter.find('usage_periods', {
+        user_id: userId,
+        period_start: startOfMonth.toISOString().slice(0, 10)
+      }, { limit: 1 });
+      const period = periodResult.rows[0] || {};
 
-      const periodUsage = await this.storageAdapter.query(`
-        SELECT 
-          COUNT(*) as messages_this_month,
-          SUM(size_bytes) as storage_this_month
+      // Storage is summed over the stored messages rather than kept as a
+      // counter, so retention purges and deletions are reflected immediately
+      const storageResult = await this.storageAdapter.query(`
+        SELECT SUM(m.size_bytes) as storage_used_bytes
         FROM messages m
         JOIN vaultboxes v ON m.vaultbox_id = v.id
-        WHERE v.user_id = $1 AND m.received_at >= $2
-      `, [userId, startOfMonth]);
+        WHERE v.user_id = $1
+      `, [userId]);
+      const storage = storageResult.rows[0] || {};
 
-      const period = periodUsage.rows[0] || {};
-
-      // Get current limits from subscription
-      const subscription = await this.getUserSubscription(userId);
+      // Limits straight from the plan: getUserSubscription() embeds this usage
+      const limits = await this.getQuotaLimits(userId);
 
       return {
         messages_received: parseInt(usage.messages_received || 0),
-        storage_used_bytes: parseInt(usage.storage_used_bytes || 0),
+        storage_used_bytes: parseInt(storage.storage_used_bytes || 0),
         domains_used: parseInt(usage.domains_used || 0),
         api_calls_today: parseInt(usage.api_calls || 0),
         last_activity: usage.last_activity,
-        limits: subscription.limits,
+        limits,
         period_usage: {
-          messages_this_month: parseInt(period.messages_this_month || 0),
-          storage_this_month: parseInt(period.storage_this_month || 0),
+          messages_this_month: parseInt(period.messages_received || 0),
+          storage_this_month: parseInt(period.bytes_received || 0),
           period_start: startOfMonth,
-          period_end: new Date(startOfMonth.getFullYear(), startOfMonth.getMonth() + 1, 0)
+          period_end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0))
         }
       };
     } catch (error) {
@@ -195,6 +210,19 @@ export class MotoricaUserAdapter extends UserAdapter {
     }
   }
 
+  // Unlike _getUserPlan() a failed lookup throws instead of assuming the
+  // starter plan: callers enforce these limits and retention deletes mail
+  async getQuotaLimits(userId) {
+    const subscription = await this.motoricalStorageAdapter.find('subscriptions', {
+      user_id: userId,
+      status: 'active'
+    }, {
+      order: 'created_at DESC',
+      limit: 1
+    });
+    return this._getPlanConfiguration(subscription.rows[0]?.plan_name || PLANS.STARTER).limits;
+  }
+
   async verifyDomain(userId, domain) {
     try {
       // Check if domain is already verified
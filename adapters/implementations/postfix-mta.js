@@ -184,6 +184,67 @@ export class PostfixMTAAdapter extends MTAAdapter {
     }
   }
 
+  // Transport lookups try the full address before the domain, so a domain
+  // entry catches exactly the addresses without a route of their own. The
+  // catch-all takes the place of a domain-wide route, which stays in
+  // mta_routes and comes back when the catch-all is removed (the order the
+  // socketmap lookup server answers in).
+  async addEncryptedCatchallRoute(domain, vaultboxId) {
+    try {
+      const normalizedDomain = domain.toLowerCase().trim();
+      this._ensureTransportMapExists();
+      this._removeLineFromFile(this.transportMapPath, new RegExp(`^${this._escapeRegex(normalizedDomain)}\\s+`));
+      const transportEntry = `${normalizedDomain}\t${this.encimapPipePrefix}:${vaultboxId}`;
+      this._addLineToFile(this.transportMapPath, transportEntry);
+      await this._runCommand('postmap', [this.transportMapPath]);
+      await this._addVirtualMailboxDomain(normalizedDomain);
+      console.log(`[PostfixMTA] Added encrypted catch-all: ${normalizedDomain} -> ${this.encimapPipePrefix}:${vaultboxId}`);
+    } catch (error) {
+      throw new Error(`Failed to add encrypted catch-all route: ${error.message}`);
+    }
+  }
+
+  // Unlike removeDomainRoute, the domain stays a virtual mailbox domain
+  async removeEncryptedCatchallRoute(domain) {
+    try {
+      const normalizedDomain = domain.toLowerCase().trim();
+      this._removeLineFromFile(this.transportMapPath, new RegExp(`^${this._escapeRegex(normalizedDomain)}\\s+`));
+      const route = await this._activeDomainRoute(normalizedDomain);
+      if (route) {
+        this._addLineToFile(this.transportMapPath, `${normalizedDomain}\t${this.encimapPipePrefix}:${route.vaultbox_id}`);
+      }
+      await this._runCommand('postmap', [this.transportMapPath]);
+      console.log(`[PostfixMTA] Removed encrypted catch-all: ${normalizedDomain}${route ? ` (domain route to ${route.vaultbox_id} restored)` : ''}`);
+    } catch (error) {
+      throw new Error(`Failed to remove encrypted catch-all route: ${error.message}`);
+    }
+  }
+
+  // recipient_delimiter is global in Postfix and may carry delimiters set by
+  // hand, so this only ever adds; intake narrows to each domain's own set
+  async addRecipientDelimiters(delimiters) {
+    try {
+      const content = this._readFile(this.mainConfigPath);
+      const lines = content.split('\n');
+      const index = lines.findIndex(line => /^recipient_delimiter\s*=/.test(line));
+      const current = index === -1 ? '' : lines[index].replace(/^recipient_delimiter\s*=\s*/, '').trim();
+      const merged = [...new Set(current + delimiters)].join('');
+      if (merged === current) return false;
+
+      const entry = `recipient_delimiter = ${merged}`;
+      if (index !== -1) lines[index] = entry;
+      else if (lines[lines.length - 1] === '') lines.splice(-1, 0, entry);
+      else lines.push(entry);
+
+      fs.writeFileSync(this.mainConfigPath, lines.join('\n'));
+      await this.reloadConfiguration();
+      console.log(`[PostfixMTA] Set recipient_delimiter: ${merged}`);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to set recipient delimiters: ${error.message}`);
+    }
+  }
+
   async reloadConfiguration() {
     try {
       console.log('[PostfixMTA] Reloading Postfix configuration...');
@@ -712,6 +773,19 @@ export class PostfixMTAAdapter extends MTAAdapter {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
+  // The domain-wide route recorded in mta_routes, if any; without a storage
+  // adapter nothing is recorded, so there is nothing to restore
+  async _activeDomainRoute(domain) {
+    if (!this.storageAdapter) return null;
+    const r = await this.storageAdapter.query(
+      `SELECT vaultbox_id FROM mta_routes
+       WHERE domain = $1 AND email_address IS NULL AND active
+       ORDER BY priority DESC, created_at DESC LIMIT 1`,
+      [domain]
+    );
+    return r.rows[0] || null;
+  }
+
   async _runCommand(command, args = [], options = {}) {
     return new Promise((resolve, reject) => {
       execFile(command, args, { timeout: 15000, ...options }, (error, stdout, stderr) => {
@@ -0,0 +1,225 @@
+/**
+ * Postfix MTA Adapter, socketmap mode
+ *
+ * Routes live in the mta_routes table (and the catch-all in domain_settings),
+ * which Postfix queries through the lookup server in services/maps. A route
+ * change is a database write: no map file is rewritten, postmap and reloads
+ * are not needed. Only recipient_delimiter still lives in main.cf.
+ */
+
+import { PostfixMTAAdapter } from './postfix-mta.js';
+import { ROUTE_PRIORITY } from '../interfaces/mta.js';
+import { socketmapLookup } from '../../pkg/socketmap/index.mjs';
+
+export class PostfixSocketmapMTAAdapter extends PostfixMTAAdapter {
+  constructor(config) {
+    super(config);
+    this.socketmapAddress = config.socketmapAddress || config.socketmap || '127.0.0.1:10041';
+  }
+
+  async addDomainRoute(domain, vaultboxId, options = {}) {
+    try {
+      const normalizedDomain = domain.toLowerCase().trim();
+      await this._deactivateRoutes('domain = $1 AND email_address IS NULL', [normalizedDomain]);
+      await this._requireStorage().insert('mta_routes', {
+        domain: normalizedDomain,
+        vaultbox_id: vaultboxId,
+        priority: options.priority || ROUTE_PRIORITY.NORMAL,
+        active: true,
+        created_at: new Date(),
+        route_type: 'encrypted_imap',
+        options: JSON.stringify(options)
+      });
+      console.log(`[PostfixMTA] Added route: ${normalizedDomain} -> ${this.encimapPipePrefix}:${vaultboxId}`);
+    } catch (error) {
+      throw new Error(`Failed to add domain route: ${error.message}`);
+    }
+  }
+
+  async addEmailRoute(emailAddress, vaultboxId, options = {}) {
+    try {
+      const normalizedEmail = emailAddress.toLowerCase().trim();
+      const simple = options.route_type === 'simple_imap' && options.username;
+      await this._deactivateRoutes('email_address = $1', [normalizedEmail]);
+      await this._requireStorage().insert('mta_routes', {
+        email_address: normalizedEmail,
+        domain: normalizedEmail.split('@')[1],
+        vaultbox_id: vaultboxId,
+        priority: options.priority || ROUTE_PRIORITY.NORMAL,
+        active: true,
+        created_at: new Date(),
+        route_type: simple ? 'simple_imap_email' : 'encrypted_imap_email',
+        options: JSON.stringify(options)
+      });
+      const target = simple ? `simple-maildir:${options.username}` : `${this.encimapPipePrefix}:${vaultboxId}`;
+      console.log(`[PostfixMTA] Added email route: ${normalizedEmail} -> ${target}`);
+    } catch (error) {
+      throw new Error(`Failed to add email route: ${error.message}`);
+    }
+  }
+
+  // Only the domain-wide route: address routes in the domain stay, as their
+  // transport file lines do in files mode
+  async removeDomainRoute(domain) {
+    try {
+      const normalizedDomain = domain.toLowerCase().trim();
+      await this._deactivateRoutes('domain = $1 AND email_address IS NULL', [normalizedDomain]);
+      console.log(`[PostfixMTA] Removed route: ${normalizedDomain}`);
+    } catch (error) {
+      throw new Error(`Failed to remove domain route: ${error.message}`);
+    }
+  }
+
+  async removeEmailRoute(emailAddress) {
+    try {
+      const normalizedEmail = emailAddress.toLowerCase().trim();
+      await this._deactivateRoutes('email_address = $1', [normalizedEmail]);
+      console.log(`[PostfixMTA] Removed email route: ${normalizedEmail}`);
+    } catch (error) {
+      throw new Error(`Failed to remove email route: ${error.message}`);
+    }
+  }
+
+  // The lookup server answers domain keys from domain_settings.catchall_vaultbox_id,
+  // which the caller has already written
+  async addEncryptedCatchallRoute(domain, vaultboxId) {
+    console.log(`[PostfixMTA] Encrypted catch-all ${domain.toLowerCase().trim()} -> ${this.encimapPipePrefix}:${vaultboxId} served by the lookup server`);
+  }
+
+  async removeEncryptedCatchallRoute(domain) {
+    console.log(`[PostfixMTA] Encrypted catch-all of ${domain.toLowerCase().trim()} no longer served`);
+  }
+
+  async testRoute(domain, options = {}) {
+    const startTime = Date.now();
+    const normalizedDomain = domain.toLowerCase().trim();
+    try {
+      const routeTarget = await this.lookup('transport', normalizedDomain);
+      const hosted = await this.lookup('domains', normalizedDomain.split('@').pop());
+      let message = 'Route configured correctly for encrypted IMAP';
+      if (!routeTarget) message = `No route found for ${normalizedDomain}`;
+      else if (!routeTarget.startsWith(this.encimapPipePrefix)) message = `Route exists but not for encrypted IMAP: ${routeTarget}`;
+      else if (!hosted) message = 'Domain not served as a virtual mailbox domain';
+      return {
+        success: message.startsWith('Route configured'),
+        message,
+        latency_ms: Date.now() - startTime,
+        details: {
+          domain: normalizedDomain,
+          route_target: routeTarget,
+          vaultbox_id: routeTarget ? routeTarget.split(':')[1] : null,
+          in_virtual_mailbox_domains: !!hosted,
+          lookup_server: this.socketmapAddress
+        },
+        tested_at: new Date()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Route test failed: ${error.message}`,
+        latency_ms: Date.now() - startTime,
+        details: { domain: normalizedDomain, error: error.message },
+        tested_at: new Date()
+      };
+    }
+  }
+
+  async listRoutes() {
+    try {
+      const r = await this._requireStorage().query(
+        `SELECT COALESCE(email_address, domain) AS domain, vaultbox_id, created_at, updated_at, priority, options
+         FROM mta_routes WHERE active ORDER BY created_at`
+      );
+      return r.rows.map(row => ({
+        domain: row.domain,
+        vaultbox_id: row.vaultbox_id,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        priority: row.priority || ROUTE_PRIORITY.NORMAL,
+        active: true,
+        options: row.options || {}
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list routes: ${error.message}`);
+    }
+  }
+
+  async validateRoute(domain) {
+    const test = await this.testRoute(domain);
+    const issues = test.success ? [] : [test.message];
+    return {
+      valid: test.success,
+      issues,
+      warnings: [],
+      suggestions: issues.length > 0 ? {
+        lookup_server: `Check that the lookup server answers on ${this.socketmapAddress}`,
+        routes: 'Routes are read from mta_routes; re-create the vaultbox route through the API'
+      } : null,
+      validated_at: new Date()
+    };
+  }
+
+  async getStatus() {
+    const status = await super.getStatus();
+    try {
+      const r = await this._requireStorage().query('SELECT COUNT(*)::int AS routes FROM mta_routes WHERE active');
+      status.performance = { active_routes: r.rows[0].routes, lookup_server: this.socketmapAddress };
+    } catch (error) {
+      status.warnings = [...(status.warnings || []), `Route count failed: ${error.message}`];
+    }
+    return status;
+  }
+
+  async healthCheck() {
+    const startTime = Date.now();
+    try {
+      await this.lookup('domains', 'healthcheck.invalid');
+      const status = await this.getStatus();
+      return {
+        healthy: status.running,
+        latency_ms: Date.now() - startTime,
+        details: {
+          adapter_type: 'PostfixSocketmapMTAAdapter',
+          mta_type: this.mtaType,
+          lookup_server: this.socketmapAddress,
+          lookup_server_reachable: true,
+          postfix_running: status.running,
+          queue_size: status.queue_size,
+          version: status.version
+        }
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        latency_ms: Date.now() - startTime,
+        details: {
+          adapter_type: 'PostfixSocketmapMTAAdapter',
+          lookup_server: this.socketmapAddress,
+          error: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Ask the lookup server what Postfix would get for `key` in `map`
+   */
+  async lookup(map, key) {
+    return socketmapLookup(this.socketmapAddress, map, key);
+  }
+
+  // The routes are the configuration here, so they cannot be best-effort
+  _requireStorage() {
+    if (!this.storageAdapter) throw new Error('socketmap mode needs a storage adapter');
+    return this.storageAdapter;
+  }
+
+  async _deactivateRoutes(condition, params) {
+    await this._requireStorage().query(
+      `UPDATE mta_routes SET active = false, removed_at = now(), updated_at = now() WHERE ${condition} AND active`,
+      params
+    );
+  }
+}
+
+export default PostfixSocketmapMTAAdapter;
@@ -71,6 +71,49 @@ export class MTAAdapter {
     await this.addDomainRoute(domain, vaultboxId, options);
   }
 
+  /**
+   * Route every address of a domain that has no route of its own to an
+   * encrypted vaultbox (encrypted catch-all); the recipient is not rewritten
+   * 
+   * @param {string} domain - Domain to catch
+   * @param {string} vaultboxId - Vaultbox receiving the mail
+   * @returns {Promise<void>}
+   * 
+   * @example
+   * await adapter.addEncryptedCatchallRoute('example.com', 'vb-123');
+   */
+  async addEncryptedCatchallRoute(domain, vaultboxId) {
+    throw new Error('MTAAdapter.addEncryptedCatchallRoute must be implemented by subclass');
+  }
+
+  /**
+   * Remove the encrypted catch-all of a domain, leaving its address routes
+   * 
+   * @param {string} domain - Domain to stop catching
+   * @returns {Promise<void>}
+   * 
+   * @example
+   * await adapter.removeEncryptedCatchallRoute('example.com');
+   */
+  async removeEncryptedCatchallRoute(domain) {
+    throw new Error('MTAAdapter.removeEncryptedCatchallRoute must be implemented by subclass');
+  }
+
+  /**
+   * Add characters that separate an address extension from its local part
+   * (local+tag@domain), so routes for local@domain also match
+   * local+tag@domain. Delimiters already configured are kept.
+   * 
+   * @param {string} delimiters - Delimiter characters to add
+   * @returns {Promise<boolean>} Whether the configuration changed
+   * 
+   * @example
+   * await adapter.addRecipientDelimiters('+-');
+   */
+  async addRecipientDelimiters(delimiters) {
+    throw new Error('MTAAdapter.addRecipientDelimiters must be implemented by subclass');
+  }
+
   /**
    * Reload MTA configuration to apply changes
    * 
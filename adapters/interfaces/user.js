@@ -232,6 +232,7 @@ export class UserAdapter {
  * 
  * @typedef {object} UsageUpdate
  * @property {number} [messages_received] - Messages received count
+ * @property {number} [bytes_received] - Bytes received (metered per billing period)
  * @property {number} [storage_used_bytes] - Storage used in bytes
  * @property {number} [domains_used] - Number of domains in use
  * @property {number} [api_calls] - API calls made
@@ -18,6 +18,7 @@ import { PostgreSQLStorageAdapter } from '../adapters/implementations/postgresql
 import { JWTAuthAdapter } from '../adapters/implementations/jwt-auth.js';
 import { MotoricaUserAdapter } from '../adapters/implementations/motorical-user.js';
 import { PostfixMTAAdapter } from '../adapters/implementations/postfix-mta.js';
+import { PostfixSocketmapMTAAdapter } from '../adapters/implementations/postfix-socketmap-mta.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -214,7 +215,8 @@ export class AdapterLoader {
     adapterFactory.register('mta', 'postfix', (config) => {
       // Inject storage adapter dependency for logging
       config.storageAdapter = this.adapters.storage;
-      return new PostfixMTAAdapter(config);
+      // mode "socketmap": routes are served from the database by services/maps
+      return config.mode === 'socketmap' ? new PostfixSocketmapMTAAdapter(config) : new PostfixMTAAdapter(config);
     });
   }
 
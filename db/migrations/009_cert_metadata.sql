@@ -0,0 +1,22 @@
+-- Migration: Store parsed certificate metadata alongside uploaded recipient certs
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS subject TEXT;
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS issuer TEXT;
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS serial_number TEXT;
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS not_before TIMESTAMPTZ;
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS not_after TIMESTAMPTZ;
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS key_type VARCHAR(20);
+
+-- Earlier uploads stored a truncated base64 of the PEM as fingerprint;
+-- replace it with the SHA-256 of the DER certificate
+UPDATE vaultbox_certs
+SET fingerprint_sha256 = 'sha256:' || upper(encode(digest(decode(
+      regexp_replace(public_cert_pem, '-----[^-]+-----|\s', '', 'g'), 'base64'), 'sha256'), 'hex'))
+WHERE fingerprint_sha256 !~ '^sha256:[0-9A-F]{64}$';
+
+CREATE INDEX IF NOT EXISTS idx_vaultbox_certs_fingerprint ON vaultbox_certs(vaultbox_id, fingerprint_sha256);
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Migration: Certificate lifecycle (disable, scheduled retirement on rotation)
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+-- Set on rotation: intake stops encrypting to the cert once retire_at has passed
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS retire_at TIMESTAMPTZ;
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES vaultbox_certs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vaultbox_certs_not_after ON vaultbox_certs(not_after) WHERE active;
+
+COMMIT;
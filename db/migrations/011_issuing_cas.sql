@@ -0,0 +1,33 @@
+-- Migration: Per-domain S/MIME issuing CAs for CSR-based certificate issuance
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS issuing_cas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    domain TEXT NOT NULL,
+    user_id UUID NOT NULL,
+    cert_pem TEXT NOT NULL,
+    -- Encrypted PKCS#8 (passphrase from CA_KEY_PASSPHRASE in the API environment)
+    private_key_pem TEXT NOT NULL,
+    fingerprint_sha256 TEXT NOT NULL,
+    not_after TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    retired_at TIMESTAMPTZ
+);
+
+-- One active CA per domain; retired ones are kept so old certs can still be verified
+CREATE UNIQUE INDEX IF NOT EXISTS idx_issuing_cas_active_domain ON issuing_cas(domain) WHERE status = 'active';
+
+ALTER TABLE vaultbox_certs ADD COLUMN IF NOT EXISTS issuing_ca_id UUID REFERENCES issuing_cas(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT, UPDATE ON issuing_cas TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Migration: Searchable message metadata index and encrypted Subject/From envelope
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- CMS EnvelopedData (DER) of {"subject","from"}, encrypted to the vaultbox certs
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS encrypted_meta BYTEA;
+
+CREATE INDEX IF NOT EXISTS idx_messages_vaultbox_received ON messages(vaultbox_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_vaultbox_message_id ON messages(vaultbox_id, message_id);
+CREATE INDEX IF NOT EXISTS idx_messages_headers_meta ON messages USING GIN (headers_meta jsonb_path_ops);
+
+COMMIT;
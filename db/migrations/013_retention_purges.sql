@@ -0,0 +1,31 @@
+-- Migration: Audit trail of messages purged by the retention worker
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- One row per vaultbox per purge run; vaultbox_id is not a foreign key so the
+-- record outlives the vaultbox
+CREATE TABLE IF NOT EXISTS retention_purges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    vaultbox_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    retention_days INTEGER NOT NULL,
+    cutoff TIMESTAMPTZ NOT NULL,
+    messages_deleted INTEGER NOT NULL DEFAULT 0,
+    files_deleted INTEGER NOT NULL DEFAULT 0,
+    bytes_deleted BIGINT NOT NULL DEFAULT 0,
+    message_ids TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_purges_vaultbox ON retention_purges(vaultbox_id, created_at DESC);
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT ON retention_purges TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Migration: Usage counters read by the user adapter and near-quota warning events
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- Per-user counters maintained through UserAdapter.updateUsage()
+CREATE TABLE IF NOT EXISTS user_usage (
+    user_id UUID PRIMARY KEY,
+    messages_received BIGINT NOT NULL DEFAULT 0,
+    storage_used_bytes BIGINT,
+    domains_used INTEGER,
+    api_calls BIGINT NOT NULL DEFAULT 0,
+    last_activity TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Emitted by intake when a delivery crosses a warning threshold (percent of quota)
+CREATE TABLE IF NOT EXISTS quota_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    vaultbox_id UUID,
+    scope VARCHAR(20) NOT NULL,
+    threshold_percent INTEGER NOT NULL,
+    used_bytes BIGINT NOT NULL,
+    limit_bytes BIGINT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quota_events_user ON quota_events(user_id, created_at DESC);
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT, UPDATE ON user_usage TO encimap;
+    GRANT SELECT, INSERT ON quota_events TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Migration: Metered per-user counters per billing period (calendar month, UTC)
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- Counted by intake at acceptance; unaffected by later deletions or retention
+CREATE TABLE IF NOT EXISTS usage_periods (
+    user_id UUID NOT NULL,
+    period_start DATE NOT NULL,
+    messages_received BIGINT NOT NULL DEFAULT 0,
+    bytes_received BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, period_start)
+);
+
+-- quota_events also reports the monthly message cap (scope 'messages')
+COMMENT ON COLUMN quota_events.used_bytes IS 'Bytes used; message count for scope = ''messages''';
+COMMENT ON COLUMN quota_events.limit_bytes IS 'Quota in bytes; messages per period for scope = ''messages''';
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT, UPDATE ON usage_periods TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Migration: Idempotent intake (one accepted copy per message and vaultbox)
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- dedup_key is HMAC-SHA256 over vaultbox id, Message-ID and the plaintext
+-- SHA-256; neither the Message-ID nor the content hash is stored
+CREATE TABLE IF NOT EXISTS intake_dedup (
+    vaultbox_id UUID NOT NULL,
+    dedup_key BYTEA NOT NULL,
+    spool_id TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (vaultbox_id, dedup_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_dedup_created ON intake_dedup(created_at);
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT, UPDATE, DELETE ON intake_dedup TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
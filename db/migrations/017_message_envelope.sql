@@ -0,0 +1,15 @@
+-- Migration: SMTP envelope of delivered messages
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- Envelope recipients this copy was delivered for (authoritative over To:)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS envelope_to TEXT[];
+-- Envelope sender ('' for the null sender); NULL when sealed in encrypted_meta
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS envelope_from VARCHAR(320);
+
+COMMENT ON COLUMN messages.encrypted_meta IS 'CMS EnvelopedData (DER) of {"subject","from","envelope_from"}, encrypted to the vaultbox certs';
+
+CREATE INDEX IF NOT EXISTS idx_messages_envelope_to ON messages USING GIN (envelope_to);
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Migration: Per-domain subaddress delimiters (local+tag@domain)
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS citext;
+
+-- NULL delimiters fall back to SUBADDRESS_DELIMITERS; '' disables subaddressing
+CREATE TABLE IF NOT EXISTS domain_settings (
+    domain CITEXT PRIMARY KEY,
+    subaddress_delimiters TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_by UUID
+);
+
+COMMENT ON COLUMN messages.tags IS 'Labels for filtering; intake adds the subaddress tag (local+tag@domain) a message was sent to';
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT, UPDATE, DELETE ON domain_settings TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- Migration: Receive-only aliases for encrypted mailboxes
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- The alias table now serves both mailbox types: simple aliases are rewritten
+-- through virtual_aliases_map, encrypted ones get encimap-pipe transport entries
+COMMENT ON TABLE simple_mailbox_aliases IS 'Receive-only aliases of a mailbox (simple or encrypted)';
+
+-- Alias a message arrived on; NULL for the mailbox address itself
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS alias_id UUID REFERENCES simple_mailbox_aliases(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_alias ON messages(vaultbox_id, alias_id) WHERE alias_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Migration: Encrypted catch-all per domain
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+-- Encrypted vaultbox receiving mail for local parts of the domain that match
+-- no vaultbox or alias. Kept apart from simple_domain_catchall, which feeds the
+-- virtual_catchall_map rewrite for simple mailboxes.
+ALTER TABLE domain_settings
+    ADD COLUMN IF NOT EXISTS catchall_vaultbox_id UUID REFERENCES vaultboxes(id) ON DELETE SET NULL;
+
+COMMIT;
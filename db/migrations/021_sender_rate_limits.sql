@@ -0,0 +1,36 @@
+-- Migration: Per-sender-domain rate limits for the Postfix policy service
+-- DB: motorical_encrypted_imap
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS citext;
+
+-- Messages per hour a sender domain may send to hosted addresses; domains
+-- without a row get POLICY_SENDER_RATE_PER_HOUR. 0 means unlimited.
+CREATE TABLE IF NOT EXISTS sender_rate_limits (
+    sender_domain CITEXT PRIMARY KEY,
+    messages_per_hour INTEGER NOT NULL CHECK (messages_per_hour >= 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_by UUID
+);
+
+-- Messages counted per sender domain and hour, shared by all policy daemons
+CREATE TABLE IF NOT EXISTS sender_rate_counters (
+    sender_domain CITEXT NOT NULL,
+    window_start TIMESTAMPTZ NOT NULL,
+    messages INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (sender_domain, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sender_rate_counters_window ON sender_rate_counters(window_start);
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'encimap') THEN
+    GRANT USAGE ON SCHEMA public TO encimap;
+    GRANT SELECT, INSERT, UPDATE, DELETE ON sender_rate_limits TO encimap;
+    GRANT SELECT, INSERT, UPDATE, DELETE ON sender_rate_counters TO encimap;
+  END IF;
+END$$;
+
+COMMIT;
@@ -0,0 +1,204 @@
+// Minimal ASN.1 DER encoder/decoder used by the CMS and X.509 helpers.
+// Only the universal types we actually emit or read are covered.
+
+export const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+export const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  envelopedData: '1.2.840.113549.1.7.3',
+  authEnvelopedData: '1.2.840.113549.1.9.16.1.23',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsaesOaep: '1.2.840.113549.1.1.7',
+  mgf1: '1.2.840.113549.1.1.8',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  aes256CBC: '2.16.840.1.101.3.4.1.42',
+  aes256GCM: '2.16.840.1.101.3.4.1.46',
+  aes256Wrap: '2.16.840.1.101.3.4.1.45',
+  ecPublicKey: '1.2.840.10045.2.1',
+  x25519: '1.3.101.110',
+  ecdhSha256Kdf: '1.3.132.1.11.1',
+  ecdhHkdfSha256: '1.2.840.113549.1.9.16.3.19',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  emailAddress: '1.2.840.113549.1.9.1',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  emailProtection: '1.3.6.1.5.5.7.3.4',
+};
+
+function encodeLength(len) {
+  if (len < 0x80) return Buffer.from([len]);
+  const bytes = [];
+  let n = len;
+  while (n > 0) {
+    bytes.unshift(n & 0xff);
+    n = Math.floor(n / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+export function tlv(tag, content) {
+  const body = Buffer.isBuffer(content) ? content : Buffer.concat(content);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+}
+
+export function seq(...items) {
+  return tlv(TAGS.SEQUENCE, items.filter(Boolean));
+}
+
+export function set(...items) {
+  // DER requires SET OF members in ascending encoded order
+  const sorted = items.filter(Boolean).sort(Buffer.compare);
+  return tlv(TAGS.SET, sorted);
+}
+
+export function integer(value) {
+  let buf;
+  if (Buffer.isBuffer(value)) {
+    buf = value;
+  } else {
+    let hex = BigInt(value).toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    buf = Buffer.from(hex, 'hex');
+  }
+  let i = 0;
+  while (i < buf.length - 1 && buf[i] === 0 && !(buf[i + 1] & 0x80)) i++;
+  buf = buf.subarray(i);
+  if (buf[0] & 0x80) buf = Buffer.concat([Buffer.from([0]), buf]);
+  return tlv(TAGS.INTEGER, buf);
+}
+
+export function octetString(buf) {
+  return tlv(TAGS.OCTET_STRING, buf);
+}
+
+export function bitString(buf, unusedBits = 0) {
+  return tlv(TAGS.BIT_STRING, Buffer.concat([Buffer.from([unusedBits]), buf]));
+}
+
+export function nul() {
+  return Buffer.from([TAGS.NULL, 0x00]);
+}
+
+export function oid(dotted) {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [40 * parts[0] + parts[1]];
+  for (const part of parts.slice(2)) {
+    const chunk = [];
+    let n = part;
+    do {
+      chunk.unshift(n & 0x7f);
+      n = Math.floor(n / 128);
+    } while (n > 0);
+    for (let i = 0; i < chunk.length - 1; i++) chunk[i] |= 0x80;
+    bytes.push(...chunk);
+  }
+  return tlv(TAGS.OID, Buffer.from(bytes));
+}
+
+// Context-specific tag. IMPLICIT tagging replaces the tag of a single
+// encoded element; EXPLICIT wraps the given elements.
+export function explicit(n, ...items) {
+  return tlv(0xa0 | n, items);
+}
+
+export function implicit(n, encoded, { constructed = false } = {}) {
+  const node = parse(encoded);
+  const tag = (constructed ? 0xa0 : 0x80) | n;
+  return tlv(tag, node.content);
+}
+
+export function algorithmIdentifier(dotted, params = nul()) {
+  return seq(oid(dotted), params);
+}
+
+/**
+ * Parse a single DER element starting at `offset`.
+ * Returns the tag byte, header/content boundaries and, for constructed
+ * elements, a lazily decoded `children` array.
+ */
+export function parse(buf, offset = 0) {
+  const tag = buf[offset];
+  let pos = offset + 1;
+  let len = buf[pos++];
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    if (n === 0 || n > 4) throw new Error('Unsupported ASN.1 length encoding');
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + buf[pos++];
+  }
+  const end = pos + len;
+  if (end > buf.length) throw new Error('Truncated ASN.1 element');
+  const node = {
+    tag,
+    constructed: (tag & 0x20) !== 0,
+    start: offset,
+    contentStart: pos,
+    end,
+    raw: buf.subarray(offset, end),
+    content: buf.subarray(pos, end),
+  };
+  let children = null;
+  Object.defineProperty(node, 'children', {
+    get() {
+      if (!node.constructed) return [];
+      if (!children) {
+        children = [];
+        let p = pos;
+        while (p < end) {
+          const child = parse(buf, p);
+          children.push(child);
+          p = child.end;
+        }
+      }
+      return children;
+    },
+  });
+  return node;
+}
+
+export function decodeOid(node) {
+  const bytes = node.content;
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (let i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+export function pemToDer(pem) {
+  const text = String(pem);
+  const m = text.match(/-----BEGIN [^-]+-----([\s\S]*?)-----END [^-]+-----/);
+  if (!m) throw new Error('Invalid PEM');
+  return Buffer.from(m[1].replace(/\s+/g, ''), 'base64');
+}
+
+export function derToPem(der, label) {
+  const b64 = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${b64}\n-----END ${label}-----\n`;
+}
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import {
+  OIDS, TAGS, tlv, seq, set, integer, octetString, bitString, oid, explicit,
+  algorithmIdentifier, parse, decodeOid, pemToDer, derToPem,
+} from './asn1.mjs';
+import { KEY_USAGE_BITS, recipientKeyError } from './x509.mjs';
+
+// X.509 issuance for the per-domain S/MIME issuing CA. Recipient
+// certificates are built from a CSR or a bare public key, so the matching
+// private key never passes through the API.
+
+const CSR_SIGNATURE_HASHES = {
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512',
+  '1.3.101.112': null, // Ed25519 hashes internally
+};
+
+// Backdate notBefore slightly so clients with a skewed clock accept new certs
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function name({ commonName, organization, email }) {
+  const rdn = (type, value) => set(seq(oid(type), value));
+  return seq(
+    organization ? rdn(OIDS.organizationName, tlv(TAGS.UTF8_STRING, Buffer.from(organization))) : null,
+    commonName ? rdn(OIDS.commonName, tlv(TAGS.UTF8_STRING, Buffer.from(commonName))) : null,
+    email ? rdn(OIDS.emailAddress, tlv(TAGS.IA5_STRING, Buffer.from(email))) : null
+  );
+}
+
+// RFC 5280 4.1.2.5: UTCTime through 2049, GeneralizedTime afterwards
+function time(date) {
+  const stamp = `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+  return date.getUTCFullYear() < 2050
+    ? tlv(TAGS.UTC_TIME, Buffer.from(stamp.slice(2)))
+    : tlv(TAGS.GENERALIZED_TIME, Buffer.from(stamp));
+}
+
+function keyUsage(names) {
+  let value = 0;
+  for (const usage of names) value |= 1 << (15 - KEY_USAGE_BITS.indexOf(usage));
+  let bytes = Buffer.from([value >> 8, value & 0xff]);
+  if (!bytes[1]) bytes = bytes.subarray(0, 1);
+  // DER: trailing zero bits are dropped and counted as unused
+  const last = bytes[bytes.length - 1];
+  let unused = 0;
+  while (unused < 7 && !(last & (1 << unused))) unused++;
+  return bitString(bytes, unused);
+}
+
+function extension(extnId, critical, value) {
+  return seq(oid(extnId), critical ? tlv(TAGS.BOOLEAN, Buffer.from([0xff])) : null, octetString(value));
+}
+
+// RFC 5280 4.2.1.2 method 1: SHA-1 of the subjectPublicKey bits
+function keyIdentifier(publicKey) {
+  const spki = parse(publicKey.export({ type: 'spki', format: 'der' }));
+  return crypto.createHash('sha1').update(spki.children[1].content.subarray(1)).digest();
+}
+
+function signatureAlgorithm(signingKey) {
+  switch (signingKey.asymmetricKeyType) {
+    case 'rsa': return algorithmIdentifier(OIDS.sha256WithRSAEncryption);
+    case 'ec': return algorithmIdentifier(OIDS.ecdsaWithSHA256, null);
+    default: throw new Error(`Unsupported CA key type: ${signingKey.asymmetricKeyType}`);
+  }
+}
+
+function randomSerial() {
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  return serial;
+}
+
+function createCertificate({ issuer, subject, notBefore, notAfter, publicKey, signingKey, extensions }) {
+  const sigAlg = signatureAlgorithm(signingKey);
+  const tbs = seq(
+    explicit(0, integer(2)),
+    integer(randomSerial()),
+    sigAlg,
+    issuer,
+    seq(time(notBefore), time(notAfter)),
+    subject,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, seq(...extensions))
+  );
+  const signature = crypto.sign('sha256', tbs, signingKey);
+  return derToPem(seq(tbs, sigAlg, bitString(signature)), 'CERTIFICATE');
+}
+
+/**
+ * Create a self-signed issuing CA for S/MIME recipient certificates.
+ * Returns `{ certificatePem, privateKey }` with `privateKey` as a KeyObject.
+ */
+export function createIssuingCA({ commonName, organization, days = 3650 }) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 3072 });
+  const caName = name({ commonName, organization });
+  const now = Date.now();
+  const certificatePem = createCertificate({
+    issuer: caName,
+    subject: caName,
+    notBefore: new Date(now - CLOCK_SKEW_MS),
+    notAfter: new Date(now + days * 86400000),
+    publicKey,
+    signingKey: privateKey,
+    extensions: [
+      // cA = TRUE, pathLenConstraint = 0: it only signs end-entity certs
+      extension(OIDS.basicConstraints, true, seq(tlv(TAGS.BOOLEAN, Buffer.from([0xff])), integer(0))),
+      extension(OIDS.keyUsage, true, keyUsage(['keyCertSign', 'cRLSign'])),
+      extension(OIDS.subjectKeyIdentifier, false, octetString(keyIdentifier(publicKey))),
+    ],
+  });
+  return { certificatePem, privateKey };
+}
+
+/**
+ * Parse a PKCS#10 CSR and check its self-signature (proof of possession).
+ * Only the public key is used; the requested subject and extensions are
+ * ignored in favour of what the vaultbox dictates.
+ */
+export function parseCsr(pem) {
+  const [info, sigAlg, signature] = parse(pemToDer(pem)).children;
+  const spki = info.children[2];
+  const publicKey = crypto.createPublicKey({ key: spki.raw, format: 'der', type: 'spki' });
+  const algOid = decodeOid(sigAlg.children[0]);
+  if (!(algOid in CSR_SIGNATURE_HASHES)) throw new Error(`Unsupported CSR signature algorithm ${algOid}`);
+  if (!crypto.verify(CSR_SIGNATURE_HASHES[algOid], info.raw, publicKey, signature.content.subarray(1))) {
+    throw new Error('CSR signature does not verify');
+  }
+  return { publicKey };
+}
+
+/**
+ * Issue an S/MIME encryption certificate for `email` over `publicKey`,
+ * signed by the given CA. Validity is capped at the CA's own expiry.
+ */
+export function issueRecipientCertificate({ caCertificatePem, caPrivateKey, publicKey, email, days = 365 }) {
+  const keyError = recipientKeyError(publicKey);
+  if (keyError) throw new Error(keyError);
+
+  const ca = new crypto.X509Certificate(caCertificatePem);
+  const caTbs = parse(ca.raw).children[0];
+  // tbsCertificate: [0] version, serialNumber, signature, issuer, validity, subject, ...
+  const caSubject = caTbs.children[5].raw;
+
+  const now = Date.now();
+  const notAfter = new Date(Math.min(now + days * 86400000, new Date(ca.validTo).getTime()));
+  const usages = {
+    rsa: ['digitalSignature', 'keyEncipherment'],
+    ec: ['digitalSignature', 'keyAgreement'],
+    x25519: ['keyAgreement'],
+  }[publicKey.asymmetricKeyType];
+
+  return createCertificate({
+    issuer: caSubject,
+    subject: name({ commonName: email, email }),
+    notBefore: new Date(now - CLOCK_SKEW_MS),
+    notAfter,
+    publicKey,
+    signingKey: caPrivateKey,
+    extensions: [
+      extension(OIDS.basicConstraints, true, seq()),
+      extension(OIDS.keyUsage, true, keyUsage(usages)),
+      extension(OIDS.extKeyUsage, false, seq(oid(OIDS.emailProtection))),
+      // rfc822Name [1] IMPLICIT IA5String
+      extension(OIDS.subjectAltName, false, seq(tlv(0x81, Buffer.from(email)))),
+      extension(OIDS.subjectKeyIdentifier, false, octetString(keyIdentifier(publicKey))),
+      extension(OIDS.authorityKeyIdentifier, false, seq(tlv(0x80, keyIdentifier(ca.publicKey)))),
+    ],
+  });
+}
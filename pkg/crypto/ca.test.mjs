@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { OIDS, seq, set, tlv, integer, oid, bitString, algorithmIdentifier, derToPem } from './asn1.mjs';
+import { createIssuingCA, parseCsr, issueRecipientCertificate } from './ca.mjs';
+import { validateRecipientCertificate } from './x509.mjs';
+
+const ca = createIssuingCA({ commonName: 'example.com S/MIME CA', organization: 'Example', days: 30 });
+const caCert = new crypto.X509Certificate(ca.certificatePem);
+
+// PKCS#10 request signed by its own key; the subject is ignored by parseCsr
+function csr(privateKey, { signWith = privateKey } = {}) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  const info = seq(
+    integer(0),
+    seq(set(seq(oid(OIDS.commonName), tlv(0x0c, Buffer.from('requested name'))))),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    tlv(0xa0, [])
+  );
+  const ec = signWith.asymmetricKeyType === 'ec';
+  const sigAlg = ec ? algorithmIdentifier(OIDS.ecdsaWithSHA256, null) : algorithmIdentifier(OIDS.sha256WithRSAEncryption);
+  return derToPem(seq(info, sigAlg, bitString(crypto.sign('sha256', info, signWith))), 'CERTIFICATE REQUEST');
+}
+
+function issue(publicKey, email = 'alice@example.com', days) {
+  const pem = issueRecipientCertificate({ caCertificatePem: ca.certificatePem, caPrivateKey: ca.privateKey, publicKey, email, days });
+  return { pem, cert: new crypto.X509Certificate(pem) };
+}
+
+test('the issuing CA is a self-signed CA certificate', () => {
+  assert.equal(caCert.ca, true);
+  assert.equal(caCert.verify(caCert.publicKey), true);
+  assert.match(caCert.subject, /CN=example\.com S\/MIME CA/);
+});
+
+test('parseCsr returns the public key of a self-signed request', () => {
+  for (const [type, options] of [['rsa', { modulusLength: 2048 }], ['ec', { namedCurve: 'prime256v1' }]]) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+    const parsed = parseCsr(csr(privateKey)).publicKey;
+    assert.deepEqual(parsed.export({ type: 'spki', format: 'der' }), publicKey.export({ type: 'spki', format: 'der' }));
+  }
+});
+
+test('parseCsr refuses a request not signed by its own key', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const other = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey;
+  assert.throws(() => parseCsr(csr(privateKey, { signWith: other })), /CSR signature does not verify/);
+});
+
+test('certificates issued from a CSR chain to the domain CA and validate for the address', () => {
+  for (const [type, options] of [['rsa', { modulusLength: 2048 }], ['ec', { namedCurve: 'prime256v1' }]]) {
+    const { privateKey } = crypto.generateKeyPairSync(type, options);
+    const { pem, cert } = issue(parseCsr(csr(privateKey)).publicKey);
+    assert.equal(cert.checkIssued(caCert), true);
+    assert.equal(cert.verify(caCert.publicKey), true);
+    assert.equal(cert.ca, false);
+    assert.equal(cert.checkEmail('alice@example.com'), 'alice@example.com');
+    const { valid, errors } = validateRecipientCertificate(pem, { email: 'alice@example.com' });
+    assert.deepEqual(errors, [], type);
+    assert.equal(valid, true);
+  }
+});
+
+test('certificates for X25519 keys carry keyAgreement only', () => {
+  const { publicKey } = crypto.generateKeyPairSync('x25519');
+  const { pem, cert } = issue(publicKey);
+  assert.equal(cert.verify(caCert.publicKey), true);
+  const { valid, metadata } = validateRecipientCertificate(pem, { email: 'alice@example.com' });
+  assert.equal(valid, true);
+  assert.deepEqual(metadata.key_usage, ['keyAgreement']);
+});
+
+test('validity ends with the CA at the latest', () => {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const { cert } = issue(publicKey, 'alice@example.com', 365);
+  assert.equal(cert.validTo, caCert.validTo);
+  assert.ok(new Date(cert.validFrom) < new Date());
+});
+
+test('keys intake cannot encrypt to are not certified', () => {
+  const small = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey;
+  assert.throws(() => issue(small), /at least 2048 bits/);
+  const p384 = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' }).publicKey;
+  assert.throws(() => issue(p384), /unsupported key type/);
+});
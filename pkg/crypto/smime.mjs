@@ -1,40 +1,306 @@
-import fs from 'fs';
-import os from 'os';
-import path from 'path';
-import { spawn } from 'child_process';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import {
+  OIDS, tlv, seq, set, integer, octetString, oid, implicit, explicit,
+  algorithmIdentifier, parse, derToPem,
+} from './asn1.mjs';
+import { certFingerprint } from './x509.mjs';
 
-export async function encryptCMS({ recipientsPEM = [], rawRfc822 }) {
+// In-process CMS (RFC 5652) EnvelopedData / AuthEnvelopedData builder.
+// Replaces the previous `openssl smime -encrypt` child process: no temp
+// files, no forks.
+
+/**
+ * Encryption profiles a vaultbox can select via `limits.encryption_profile`.
+ * The profile name is what gets recorded in `messages.storage.alg`.
+ * EC (P-256) and X25519 recipient certificates always use ECDH key
+ * agreement; `rsa` only decides the key transport for RSA certificates.
+ */
+export const ENCRYPTION_PROFILES = {
+  // Compatibility fallback: what `openssl smime -aes256` produced
+  'smime-aes256': { content: 'aes-256-cbc', rsa: 'pkcs1' },
+  'smime-aes256-oaep': { content: 'aes-256-cbc', rsa: 'oaep' },
+  'smime-aes256gcm': { content: 'aes-256-gcm', rsa: 'oaep' },
+};
+
+export const DEFAULT_ENCRYPTION_PROFILE = 'smime-aes256';
+
+export function resolveProfile(name) {
+  const key = ENCRYPTION_PROFILES[name] ? name : DEFAULT_ENCRYPTION_PROFILE;
+  return { name: key, ...ENCRYPTION_PROFILES[key] };
+}
+
+export function loadRecipient(pem) {
+  const cert = new crypto.X509Certificate(pem);
+  const der = cert.raw;
+  const tbs = parse(der).children[0];
+  const fields = tbs.children;
+  // tbsCertificate: [0] version (optional), serialNumber, signature, issuer, ...
+  const base = fields[0].tag === 0xa0 ? 1 : 0;
+  const serial = fields[base];
+  const issuer = fields[base + 2];
+  return {
+    cert,
+    publicKey: cert.publicKey,
+    issuerAndSerial: seq(issuer.raw, serial.raw),
+    fingerprint: certFingerprint(cert),
+  };
+}
+
+export { certFingerprint };
+
+// RSAES-OAEP-params with SHA-256 and MGF1-SHA-256 (RFC 4055)
+const OAEP_SHA256 = algorithmIdentifier(OIDS.rsaesOaep, seq(
+  explicit(0, algorithmIdentifier(OIDS.sha256)),
+  explicit(1, algorithmIdentifier(OIDS.mgf1, algorithmIdentifier(OIDS.sha256)))
+));
+
+function keyTransRecipientInfo(recipient, cek, profile) {
+  const oaep = profile.rsa === 'oaep';
+  const encryptedKey = crypto.publicEncrypt(
+    oaep
+      ? { key: recipient.publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' }
+      : { key: recipient.publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    cek
+  );
+  return seq(
+    integer(0),
+    recipient.issuerAndSerial,
+    oaep ? OAEP_SHA256 : algorithmIdentifier(OIDS.rsaEncryption),
+    octetString(encryptedKey)
+  );
+}
+
+const AES_WRAP_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+
+// ECC-CMS-SharedInfo (RFC 5753 section 7.2), input to both KDFs
+function eccCmsSharedInfo(wrapAlg, keyBytes) {
+  const bits = Buffer.alloc(4);
+  bits.writeUInt32BE(keyBytes * 8);
+  return seq(wrapAlg, explicit(2, octetString(bits)));
+}
+
+// ANSI X9.63 KDF with SHA-256; one block covers an AES-256 KEK
+function x963Sha256(z, sharedInfo) {
+  const counter = Buffer.from([0, 0, 0, 1]);
+  return crypto.createHash('sha256').update(Buffer.concat([z, counter, sharedInfo])).digest();
+}
+
+/**
+ * KeyAgreeRecipientInfo with a fresh ephemeral key per recipient:
+ * RFC 5753 (P-256, X9.63 SHA-256 KDF) or RFC 8418 (X25519, HKDF-SHA-256).
+ */
+function keyAgreeRecipientInfo(recipient, cek) {
+  const keyType = recipient.publicKey.asymmetricKeyType;
+  let ephemeral;
+  let originatorAlg;
+  let kdfOid;
+  if (keyType === 'ec') {
+    const curve = recipient.publicKey.asymmetricKeyDetails?.namedCurve;
+    if (curve !== 'prime256v1') throw new Error(`Unsupported EC curve: ${curve}`);
+    ephemeral = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    originatorAlg = algorithmIdentifier(OIDS.ecPublicKey, null);
+    kdfOid = OIDS.ecdhSha256Kdf;
+  } else {
+    ephemeral = crypto.generateKeyPairSync('x25519');
+    originatorAlg = algorithmIdentifier(OIDS.x25519, null);
+    kdfOid = OIDS.ecdhHkdfSha256;
+  }
+
+  const z = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient.publicKey });
+  const wrapAlg = algorithmIdentifier(OIDS.aes256Wrap, null);
+  const sharedInfo = eccCmsSharedInfo(wrapAlg, 32);
+  const kek = kdfOid === OIDS.ecdhSha256Kdf
+    ? x963Sha256(z, sharedInfo)
+    : Buffer.from(crypto.hkdfSync('sha256', z, Buffer.alloc(0), sharedInfo, 32));
+  const wrapper = crypto.createCipheriv('id-aes256-wrap', kek, AES_WRAP_IV);
+  const wrappedKey = Buffer.concat([wrapper.update(cek), wrapper.final()]);
+
+  const spki = parse(ephemeral.publicKey.export({ type: 'spki', format: 'der' }));
+  const originatorKey = tlv(0xa1, [originatorAlg, spki.children[1].raw]);
+  // RecipientInfo CHOICE: kari [1] IMPLICIT KeyAgreeRecipientInfo
+  return tlv(0xa1, [
+    integer(3),
+    explicit(0, originatorKey),
+    algorithmIdentifier(kdfOid, wrapAlg),
+    seq(seq(recipient.issuerAndSerial, octetString(wrappedKey))),
+  ]);
+}
+
+function recipientInfo(recipient, cek, profile) {
+  const keyType = recipient.publicKey.asymmetricKeyType;
+  switch (keyType) {
+    case 'rsa': return keyTransRecipientInfo(recipient, cek, profile);
+    case 'ec':
+    case 'x25519': return keyAgreeRecipientInfo(recipient, cek);
+    default: throw new Error(`Unsupported recipient key type: ${keyType}`);
+  }
+}
+
+function prepareEnvelope(recipients, profile) {
+  const cek = crypto.randomBytes(32);
+  const recipientInfos = set(...recipients.map((r) => recipientInfo(r, cek, profile)));
+  const hasKari = recipients.some((r) => r.publicKey.asymmetricKeyType !== 'rsa');
+
+  if (profile.content === 'aes-256-gcm') {
+    const nonce = crypto.randomBytes(12);
+    return {
+      authenticated: true,
+      contentType: OIDS.authEnvelopedData,
+      version: 0,
+      cipher: crypto.createCipheriv('aes-256-gcm', cek, nonce, { authTagLength: 16 }),
+      recipientInfos,
+      // GCMParameters: nonce plus an explicit 16-byte ICV length
+      contentEncryptionAlgorithm: algorithmIdentifier(OIDS.aes256GCM, seq(octetString(nonce), integer(16))),
+    };
+  }
+
+  const iv = crypto.randomBytes(16);
+  return {
+    authenticated: false,
+    contentType: OIDS.envelopedData,
+    // RFC 5652 6.1: any kari (version 3) bumps EnvelopedData to version 2
+    version: hasKari ? 2 : 0,
+    cipher: crypto.createCipheriv('aes-256-cbc', cek, iv),
+    recipientInfos,
+    contentEncryptionAlgorithm: algorithmIdentifier(OIDS.aes256CBC, octetString(iv)),
+  };
+}
+
+export function buildEnvelopedData(recipients, plaintext, profile = resolveProfile()) {
+  const envelope = prepareEnvelope(recipients, profile);
+  const { cipher } = envelope;
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const encryptedContentInfo = seq(
+    oid(OIDS.data),
+    envelope.contentEncryptionAlgorithm,
+    implicit(0, octetString(encrypted))
+  );
+  const mac = envelope.authenticated ? octetString(cipher.getAuthTag()) : null;
+  return seq(
+    oid(envelope.contentType),
+    explicit(0, seq(integer(envelope.version), envelope.recipientInfos, encryptedContentInfo, mac))
+  );
+}
+
+// BER indefinite-length framing (what `openssl cms -stream` emits) lets us
+// write the EnvelopedData before the content length is known.
+const INDEFINITE_SEQUENCE = Buffer.from([0x30, 0x80]);
+const INDEFINITE_CONTEXT_0 = Buffer.from([0xa0, 0x80]);
+const END_OF_CONTENTS = Buffer.from([0x00, 0x00]);
+
+// Same framing `openssl smime -outform SMIME` produced, so existing
+// clients and stored messages look identical.
+const SMIME_HEADERS = Buffer.from([
+  'MIME-Version: 1.0',
+  'Content-Disposition: attachment; filename="smime.p7m"',
+  'Content-Type: application/pkcs7-mime; smime-type=enveloped-data; name="smime.p7m"',
+  'Content-Transfer-Encoding: base64',
+].join('\r\n') + '\r\n\r\n');
+
+const SMIME_AUTH_HEADERS = Buffer.from(SMIME_HEADERS.toString()
+  .replace('smime-type=enveloped-data', 'smime-type=authEnveloped-data'));
+
+// Incremental base64 with CRLF line breaks every 64 characters.
+class Base64Lines {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+  }
+
+  update(chunk) {
+    const data = Buffer.concat([this.pending, chunk]);
+    const whole = data.length - (data.length % 48);
+    this.pending = data.subarray(whole);
+    return whole > 0 ? wrapBase64(data.subarray(0, whole)) : null;
+  }
+
+  final() {
+    return this.pending.length ? wrapBase64(this.pending) : null;
+  }
+}
+
+function wrapBase64(buf) {
+  return Buffer.from(buf.toString('base64').match(/.{1,64}/g).join('\r\n') + '\r\n');
+}
+
+class EnvelopedDataStream extends Transform {
+  constructor(recipients, { armor = false, profile = resolveProfile() } = {}) {
+    super();
+    const envelope = prepareEnvelope(recipients, profile);
+    this.cipher = envelope.cipher;
+    this.authenticated = envelope.authenticated;
+    this.armor = armor ? new Base64Lines() : null;
+    if (this.armor) this.push(this.authenticated ? SMIME_AUTH_HEADERS : SMIME_HEADERS);
+    this._emit(Buffer.concat([
+      INDEFINITE_SEQUENCE, oid(envelope.contentType),
+      INDEFINITE_CONTEXT_0,
+      INDEFINITE_SEQUENCE, integer(envelope.version), envelope.recipientInfos,
+      INDEFINITE_SEQUENCE, oid(OIDS.data), envelope.contentEncryptionAlgorithm,
+      INDEFINITE_CONTEXT_0,
+    ]));
+  }
+
+  _emit(buf) {
+    const out = this.armor ? this.armor.update(buf) : buf;
+    if (out) this.push(out);
+  }
+
+  _transform(chunk, _enc, callback) {
+    const out = this.cipher.update(chunk);
+    if (out.length) this._emit(octetString(out));
+    callback();
+  }
+
+  _flush(callback) {
+    try {
+      this._emit(octetString(this.cipher.final()));
+      // encryptedContent, EncryptedContentInfo
+      this._emit(Buffer.concat([END_OF_CONTENTS, END_OF_CONTENTS]));
+      // AuthEnvelopedData carries the GCM tag after the content
+      if (this.authenticated) this._emit(octetString(this.cipher.getAuthTag()));
+      // (Auth)EnvelopedData, [0], ContentInfo
+      this._emit(Buffer.concat([END_OF_CONTENTS, END_OF_CONTENTS, END_OF_CONTENTS]));
+      const tail = this.armor && this.armor.final();
+      if (tail) this.push(tail);
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+}
+
+export function toSmime(der) {
+  const contentType = parse(der).children[0].raw;
+  const authenticated = contentType.equals(oid(OIDS.authEnvelopedData));
+  return Buffer.concat([authenticated ? SMIME_AUTH_HEADERS : SMIME_HEADERS, wrapBase64(der)]);
+}
+
+function normalizeRecipients(recipientsPEM) {
   if (!Array.isArray(recipientsPEM) || recipientsPEM.length === 0) {
     throw new Error('No recipients');
   }
-  const tmpBase = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'encimap-'));
-  try {
-    const certPaths = [];
-    for (let i = 0; i < recipientsPEM.length; i++) {
-      const p = path.join(tmpBase, `r${i}.pem`);
-      await fs.promises.writeFile(p, recipientsPEM[i]);
-      certPaths.push(p);
-    }
-    const args = ['smime', '-encrypt', '-aes256', '-outform', 'PEM', ...certPaths];
-    const proc = spawn('openssl', args);
-    const out = [];
-    const err = [];
-    proc.stdout.on('data', (d) => out.push(d));
-    proc.stderr.on('data', (d) => err.push(d));
-    const p = new Promise((resolve, reject) => {
-      proc.on('error', reject);
-      proc.on('close', (code) => {
-        if (code !== 0) {
-          return reject(new Error(`openssl smime failed: ${Buffer.concat(err).toString()}`));
-        }
-        resolve(Buffer.concat(out));
-      });
-    });
-    proc.stdin.write(Buffer.isBuffer(rawRfc822) ? rawRfc822 : Buffer.from(String(rawRfc822)));
-    proc.stdin.end();
-    const cipher = await p;
-    return cipher;
-  } finally {
-    try { await fs.promises.rm(tmpBase, { recursive: true, force: true }); } catch {}
+  return recipientsPEM.map(loadRecipient);
+}
+
+/**
+ * Streaming counterpart of encryptCMS: pipe plaintext in, read BER-encoded
+ * CMS out ('DER' outform) or the S/MIME entity ('SMIME').
+ * Memory use is bounded by the chunk size, not the message size.
+ */
+export function createEncryptStream({ recipientsPEM = [], outform = 'SMIME', profile } = {}) {
+  return new EnvelopedDataStream(normalizeRecipients(recipientsPEM), {
+    armor: String(outform).toUpperCase() === 'SMIME',
+    profile: resolveProfile(profile),
+  });
+}
+
+export async function encryptCMS({ recipientsPEM = [], rawRfc822, outform = 'PEM', profile }) {
+  const recipients = normalizeRecipients(recipientsPEM);
+  const input = Buffer.isBuffer(rawRfc822) ? rawRfc822 : Buffer.from(String(rawRfc822));
+  const der = buildEnvelopedData(recipients, input, resolveProfile(profile));
+  switch (String(outform).toUpperCase()) {
+    case 'DER': return der;
+    case 'SMIME': return toSmime(der);
+    default: return Buffer.from(derToPem(der, 'PKCS7'));
   }
 }
@@ -0,0 +1,243 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { Readable } from 'stream';
+import { buffer } from 'stream/consumers';
+import {
+  OIDS, seq, integer, octetString, oid, explicit, parse, decodeOid, pemToDer, derToPem,
+} from './asn1.mjs';
+import { createEncryptStream, encryptCMS } from './smime.mjs';
+import { createIssuingCA, issueRecipientCertificate } from './ca.mjs';
+
+const ca = createIssuingCA({ commonName: 'Test Issuing CA', organization: 'Example' });
+
+function recipient(type, options) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+  const certificatePem = issueRecipientCertificate({
+    caCertificatePem: ca.certificatePem,
+    caPrivateKey: ca.privateKey,
+    publicKey,
+    email: `${type}@example.com`,
+  });
+  return { certificatePem, privateKey };
+}
+
+const recipients = {
+  rsa: recipient('rsa', { modulusLength: 2048 }),
+  p256: recipient('ec', { namedCurve: 'prime256v1' }),
+  x25519: recipient('x25519'),
+};
+
+// Big enough for several cipher blocks per chunk and several base64 lines
+const message = Buffer.from(
+  'From: alice@example.com\r\nTo: bob@example.com\r\nSubject: round trip\r\n\r\n' +
+  Array.from({ length: 400 }, (_, i) => `line ${i} ${'x'.repeat(i % 90)}\r\n`).join('')
+);
+
+// BER reader for what the stream emits: indefinite lengths, end-of-contents
+// octets and constructed OCTET STRINGs, which parse() does not take
+function readBer(buf, offset = 0) {
+  const tag = buf[offset];
+  let pos = offset + 1;
+  let len = buf[pos++];
+  const constructed = (tag & 0x20) !== 0;
+  if (len === 0x80) {
+    const children = [];
+    while (buf[pos] !== 0 || buf[pos + 1] !== 0) {
+      const child = readBer(buf, pos);
+      children.push(child);
+      pos = child.end;
+    }
+    return { tag, constructed, children, raw: buf.subarray(offset, pos + 2), end: pos + 2 };
+  }
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    len = 0;
+    for (let i = 0; i < n; i++) len = len * 256 + buf[pos++];
+  }
+  const end = pos + len;
+  const content = buf.subarray(pos, end);
+  const children = [];
+  for (let p = pos; constructed && p < end;) {
+    const child = readBer(buf, p);
+    children.push(child);
+    p = child.end;
+  }
+  return { tag, constructed, content, children, raw: buf.subarray(offset, end), end };
+}
+
+const octets = (node) => (node.constructed ? Buffer.concat(node.children.map(octets)) : node.content);
+const oidOf = (node) => decodeOid({ content: node.content });
+
+function unwrapKey(kari, privateKey) {
+  // No ukm: version, originator, keyEncryptionAlgorithm, recipientEncryptedKeys
+  const [, originator, keyEncAlg, recipientKeys] = kari.children;
+  const publicBits = originator.children[0].children[1];
+  // The ephemeral key carries no curve; it is the recipient's
+  const recipientSpki = parse(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }));
+  const spki = seq(recipientSpki.children[0].raw, publicBits.raw);
+  const ephemeral = crypto.createPublicKey({ key: spki, format: 'der', type: 'spki' });
+  const z = crypto.diffieHellman({ privateKey, publicKey: ephemeral });
+
+  const [kdf, wrapAlg] = keyEncAlg.children;
+  const sharedInfo = seq(wrapAlg.raw, explicit(2, octetString(Buffer.from([0, 0, 1, 0]))));
+  const kek = oidOf(kdf) === OIDS.ecdhSha256Kdf
+    ? crypto.createHash('sha256').update(Buffer.concat([z, Buffer.from([0, 0, 0, 1]), sharedInfo])).digest()
+    : Buffer.from(crypto.hkdfSync('sha256', z, Buffer.alloc(0), sharedInfo, 32));
+  const wrapped = recipientKeys.children[0].children[1].content;
+  const unwrapper = crypto.createDecipheriv('id-aes256-wrap', kek, Buffer.from('A6A6A6A6A6A6A6A6', 'hex'));
+  return Buffer.concat([unwrapper.update(wrapped), unwrapper.final()]);
+}
+
+function decryptKey(recipientInfo, privateKey) {
+  if (recipientInfo.tag === 0xa1) return { cek: unwrapKey(recipientInfo, privateKey), keyAgreement: true };
+  const [, , keyEncAlg, encryptedKey] = recipientInfo.children;
+  const oaep = oidOf(keyEncAlg.children[0]) === OIDS.rsaesOaep;
+  if (oaep) {
+    const options = { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' };
+    return { cek: crypto.privateDecrypt(options, encryptedKey.content), oaep };
+  }
+  // Node refuses PKCS#1 v1.5 private decryption, so undo the padding here:
+  // 00 02 <nonzero random> 00 <key>
+  const block = crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_NO_PADDING }, encryptedKey.content);
+  assert.deepEqual([...block.subarray(0, 2)], [0, 2]);
+  return { cek: block.subarray(block.indexOf(0, 2) + 1), oaep };
+}
+
+// Decrypts with node crypto alone and reports what the envelope used
+function decrypt(ber, privateKey) {
+  const [contentType, wrapper] = readBer(ber).children;
+  const authenticated = oidOf(contentType) === OIDS.authEnvelopedData;
+  const [version, recipientInfos, contentInfo, mac] = wrapper.children[0].children;
+  const { cek, ...keyInfo } = decryptKey(recipientInfos.children[0], privateKey);
+  const [, algorithm, encrypted] = contentInfo.children;
+  const params = algorithm.children[1];
+
+  let decipher;
+  if (authenticated) {
+    assert.equal(oidOf(algorithm.children[0]), OIDS.aes256GCM);
+    decipher = crypto.createDecipheriv('aes-256-gcm', cek, params.children[0].content, { authTagLength: 16 });
+    decipher.setAuthTag(mac.content);
+  } else {
+    assert.equal(oidOf(algorithm.children[0]), OIDS.aes256CBC);
+    decipher = crypto.createDecipheriv('aes-256-cbc', cek, params.content);
+  }
+  const plaintext = Buffer.concat([decipher.update(octets(encrypted)), decipher.final()]);
+  return { plaintext, authenticated, version: version.content[0], ...keyInfo };
+}
+
+async function encrypt(name, { outform = 'DER', profile } = {}) {
+  const stream = createEncryptStream({ recipientsPEM: [recipients[name].certificatePem], outform, profile });
+  // Uneven chunks, including an empty one
+  const chunks = [message.subarray(0, 1), message.subarray(1, 1), message.subarray(1, 4000), message.subarray(4000)];
+  return buffer(Readable.from(chunks).pipe(stream));
+}
+
+function smimeBody(entity) {
+  const text = entity.toString('latin1');
+  const split = text.indexOf('\r\n\r\n');
+  return { headers: text.slice(0, split), der: Buffer.from(text.slice(split + 4), 'base64') };
+}
+
+const opensslAvailable = spawnSync('openssl', ['version']).status === 0;
+
+function opensslDecrypt(der, { certificatePem, privateKey }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smime-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'message.der'), der);
+    fs.writeFileSync(path.join(dir, 'recipient.pem'), certificatePem);
+    fs.writeFileSync(path.join(dir, 'private.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    const result = spawnSync('openssl', [
+      'cms', '-decrypt', '-binary', '-inform', 'DER', '-in', 'message.der',
+      '-recip', 'recipient.pem', '-inkey', 'private.pem',
+    ], { cwd: dir });
+    assert.equal(result.status, 0, result.stderr.toString());
+    return result.stdout;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('asn1 encodes integers, OIDs and long lengths the way parse() reads them', () => {
+  assert.deepEqual(integer(0), Buffer.from([0x02, 0x01, 0x00]));
+  assert.deepEqual(integer(128), Buffer.from([0x02, 0x02, 0x00, 0x80]));
+  assert.equal(decodeOid(parse(oid(OIDS.authEnvelopedData))), OIDS.authEnvelopedData);
+  const long = octetString(Buffer.alloc(300, 7));
+  assert.deepEqual(long.subarray(0, 4), Buffer.from([0x04, 0x82, 0x01, 0x2c]));
+  const node = parse(seq(long, integer(5)));
+  assert.equal(node.children[0].content.length, 300);
+  assert.equal(node.children[1].content[0], 5);
+  assert.deepEqual(pemToDer(derToPem(long, 'TEST')), long);
+});
+
+test('default profile streams RSA PKCS#1 v1.5 EnvelopedData', async () => {
+  const out = decrypt(await encrypt('rsa'), recipients.rsa.privateKey);
+  assert.deepEqual(out.plaintext, message);
+  assert.equal(out.authenticated, false);
+  assert.equal(out.oaep, false);
+  assert.equal(out.version, 0);
+});
+
+test('smime-aes256-oaep uses RSA-OAEP with SHA-256', async () => {
+  const out = decrypt(await encrypt('rsa', { profile: 'smime-aes256-oaep' }), recipients.rsa.privateKey);
+  assert.deepEqual(out.plaintext, message);
+  assert.equal(out.oaep, true);
+});
+
+test('smime-aes256gcm produces AuthEnvelopedData whose tag verifies', async () => {
+  const ber = await encrypt('rsa', { profile: 'smime-aes256gcm' });
+  const out = decrypt(ber, recipients.rsa.privateKey);
+  assert.deepEqual(out.plaintext, message);
+  assert.equal(out.authenticated, true);
+
+  // A flipped ciphertext byte fails authentication
+  const tampered = Buffer.from(ber);
+  tampered[tampered.length - 200] ^= 1;
+  assert.throws(() => decrypt(tampered, recipients.rsa.privateKey), /authenticate/);
+});
+
+test('P-256 and X25519 recipients get key agreement and EnvelopedData version 2', async () => {
+  for (const name of ['p256', 'x25519']) {
+    for (const profile of ['smime-aes256', 'smime-aes256gcm']) {
+      const out = decrypt(await encrypt(name, { profile }), recipients[name].privateKey);
+      assert.deepEqual(out.plaintext, message, `${name} ${profile}`);
+      assert.equal(out.keyAgreement, true);
+      assert.equal(out.authenticated, profile === 'smime-aes256gcm');
+      if (!out.authenticated) assert.equal(out.version, 2);
+    }
+  }
+});
+
+test('SMIME output wraps the same CMS in base64 under the matching smime-type', async () => {
+  for (const profile of ['smime-aes256', 'smime-aes256gcm']) {
+    const entity = await encrypt('rsa', { outform: 'SMIME', profile });
+    const { headers, der } = smimeBody(entity);
+    const type = profile === 'smime-aes256gcm' ? 'authEnveloped-data' : 'enveloped-data';
+    assert.match(headers, new RegExp(`smime-type=${type};`));
+    assert.ok(entity.toString().split('\r\n').every((line) => line.length <= 90));
+    assert.deepEqual(decrypt(der, recipients.rsa.privateKey).plaintext, message);
+  }
+});
+
+test('encryptCMS output is definite-length DER that parse() reads', async () => {
+  const der = await encryptCMS({ recipientsPEM: [recipients.p256.certificatePem], rawRfc822: message, outform: 'DER' });
+  assert.equal(parse(der).end, der.length);
+  assert.deepEqual(decrypt(der, recipients.p256.privateKey).plaintext, message);
+  const pem = await encryptCMS({ recipientsPEM: [recipients.rsa.certificatePem], rawRfc822: message });
+  assert.deepEqual(decrypt(pemToDer(pem.toString()), recipients.rsa.privateKey).plaintext, message);
+});
+
+// OpenSSL 3.0 has no HKDF key agreement (RFC 8418), so X25519 is checked
+// with node crypto above only
+test('openssl cms decrypts the RSA, OAEP, GCM and P-256 streams', { skip: !opensslAvailable && 'openssl not found' }, async () => {
+  const cases = [['rsa', 'smime-aes256'], ['rsa', 'smime-aes256-oaep'], ['rsa', 'smime-aes256gcm'], ['p256', 'smime-aes256'], ['p256', 'smime-aes256gcm']];
+  for (const [name, profile] of cases) {
+    assert.deepEqual(opensslDecrypt(await encrypt(name, { profile }), recipients[name]), message, `${name} ${profile}`);
+  }
+  const { der } = smimeBody(await encrypt('p256', { outform: 'SMIME' }));
+  assert.deepEqual(opensslDecrypt(der, recipients.p256), message);
+});
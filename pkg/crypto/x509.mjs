@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { OIDS, parse, decodeOid } from './asn1.mjs';
+
+// X.509 inspection for recipient certificates: what intake can encrypt to
+// and what we record alongside `vaultbox_certs`.
+
+const EKU_ANY = '2.5.29.37.0';
+
+export const KEY_USAGE_BITS = [
+  'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+  'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly',
+];
+
+export function certFingerprint(pemOrCert) {
+  const cert = pemOrCert instanceof crypto.X509Certificate ? pemOrCert : new crypto.X509Certificate(pemOrCert);
+  return `sha256:${cert.fingerprint256.replace(/:/g, '')}`;
+}
+
+function extensions(cert) {
+  const tbs = parse(cert.raw).children[0];
+  const wrapper = tbs.children.find((c) => c.tag === 0xa3);
+  if (!wrapper) return new Map();
+  const map = new Map();
+  for (const ext of wrapper.children[0].children) {
+    const value = ext.children[ext.children.length - 1];
+    map.set(decodeOid(ext.children[0]), value.content);
+  }
+  return map;
+}
+
+function parseKeyUsage(der) {
+  if (!der) return null;
+  const bits = parse(der).content;
+  const usages = [];
+  KEY_USAGE_BITS.forEach((name, i) => {
+    const byte = bits[1 + Math.floor(i / 8)];
+    if (byte !== undefined && byte & (0x80 >> (i % 8))) usages.push(name);
+  });
+  return usages;
+}
+
+function keyType(publicKey) {
+  const type = publicKey.asymmetricKeyType;
+  const details = publicKey.asymmetricKeyDetails || {};
+  if (type === 'rsa') return `rsa-${details.modulusLength}`;
+  if (type === 'ec') return details.namedCurve === 'prime256v1' ? 'ec-p256' : `ec-${details.namedCurve}`;
+  return type;
+}
+
+/**
+ * Why intake could not encrypt to this public key, or null if it can:
+ * RSA >= 2048 bits, EC P-256 or X25519.
+ */
+export function recipientKeyError(publicKey) {
+  const type = keyType(publicKey);
+  if (type.startsWith('rsa-')) {
+    return publicKey.asymmetricKeyDetails.modulusLength < 2048 ? 'RSA keys must be at least 2048 bits' : null;
+  }
+  if (type === 'ec-p256' || type === 'x25519') return null;
+  return `unsupported key type ${type} (use RSA, EC P-256 or X25519)`;
+}
+
+function emailsFromSan(san) {
+  if (!san) return [];
+  return san.split(/,\s*/)
+    .filter((entry) => entry.startsWith('email:'))
+    .map((entry) => entry.slice('email:'.length).trim().toLowerCase());
+}
+
+function singleLineName(name) {
+  return String(name || '').split('\n').filter(Boolean).join(', ');
+}
+
+/**
+ * Parse a PEM certificate into the metadata stored with `vaultbox_certs`.
+ * Throws if the input is not a certificate.
+ */
+export function inspectCertificate(pem) {
+  const cert = new crypto.X509Certificate(pem);
+  const eku = cert.keyUsage || [];
+  return {
+    cert,
+    fingerprint: certFingerprint(cert),
+    subject: singleLineName(cert.subject),
+    issuer: singleLineName(cert.issuer),
+    serial_number: cert.serialNumber,
+    not_before: new Date(cert.validFrom),
+    not_after: new Date(cert.validTo),
+    key_type: keyType(cert.publicKey),
+    key_usage: parseKeyUsage(extensions(cert).get(OIDS.keyUsage)),
+    ext_key_usage: eku,
+    emails: emailsFromSan(cert.subjectAltName),
+  };
+}
+
+/**
+ * Check that a certificate is usable as an encryption recipient for the
+ * given address. `email` may be a full address or `@domain` to accept any
+ * address in the domain. Returns `{ valid, errors, metadata }`.
+ */
+export function validateRecipientCertificate(pem, { email, now = new Date() } = {}) {
+  let metadata;
+  try {
+    metadata = inspectCertificate(pem);
+  } catch (error) {
+    return { valid: false, errors: ['not a valid X.509 certificate'], metadata: null };
+  }
+
+  const errors = [];
+  if (now < metadata.not_before) errors.push('certificate is not yet valid');
+  if (now > metadata.not_after) errors.push('certificate has expired');
+
+  const keyError = recipientKeyError(metadata.cert.publicKey);
+  if (keyError) errors.push(keyError);
+
+  const rsa = metadata.key_type.startsWith('rsa-');
+
+  // RSA keys transport the content key; EC/X25519 keys agree on one
+  const requiredUsage = rsa ? 'keyEncipherment' : 'keyAgreement';
+  if (!metadata.key_usage || !metadata.key_usage.includes(requiredUsage)) {
+    errors.push(`key usage must include ${requiredUsage}`);
+  }
+  if (!metadata.ext_key_usage.includes(OIDS.emailProtection) && !metadata.ext_key_usage.includes(EKU_ANY)) {
+    errors.push('extended key usage must include emailProtection');
+  }
+
+  if (email) {
+    const wanted = String(email).toLowerCase();
+    const matches = wanted.startsWith('@')
+      ? metadata.emails.some((e) => e.endsWith(wanted))
+      : metadata.emails.includes(wanted);
+    if (!matches) errors.push(`certificate email SAN does not match ${wanted.replace(/^@/, '*@')}`);
+  }
+
+  return { valid: errors.length === 0, errors, metadata };
+}
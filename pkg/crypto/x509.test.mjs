@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  OIDS, TAGS, tlv, seq, set, integer, octetString, bitString, oid, explicit, algorithmIdentifier, derToPem,
+} from './asn1.mjs';
+import { inspectCertificate, validateRecipientCertificate, recipientKeyError } from './x509.mjs';
+
+const signer = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey;
+const keys = {
+  rsa1024: crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey,
+  rsa2048: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey,
+  p256: crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).publicKey,
+  p384: crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' }).publicKey,
+  x25519: crypto.generateKeyPairSync('x25519').publicKey,
+};
+
+const usageBits = { digitalSignature: 0x80, keyEncipherment: 0x20, keyAgreement: 0x08 };
+const DAY = 86400000;
+
+// Validation reads fields, not signatures, so one EC key signs every
+// variant; each option leaves out or changes one thing
+function certificate({
+  publicKey = keys.rsa2048, usages = ['digitalSignature', 'keyEncipherment'],
+  eku = [OIDS.emailProtection], emails = ['alice@example.com'],
+  notBefore = new Date(Date.now() - DAY), notAfter = new Date(Date.now() + 30 * DAY),
+} = {}) {
+  const time = (date) => tlv(TAGS.UTC_TIME, Buffer.from(`${date.toISOString().replace(/[-:T]/g, '').slice(2, 14)}Z`));
+  const subject = seq(set(seq(oid(OIDS.commonName), tlv(TAGS.UTF8_STRING, Buffer.from('test')))));
+  const ext = (id, value) => seq(oid(id), octetString(value));
+  const extensions = [
+    usages && ext(OIDS.keyUsage, bitString(Buffer.from([usages.reduce((bits, u) => bits | usageBits[u], 0)]))),
+    eku && ext(OIDS.extKeyUsage, seq(...eku.map((id) => oid(id)))),
+    emails && ext(OIDS.subjectAltName, seq(...emails.map((email) => tlv(0x81, Buffer.from(email))))),
+  ].filter(Boolean);
+  const sigAlg = algorithmIdentifier(OIDS.ecdsaWithSHA256, null);
+  const tbs = seq(
+    explicit(0, integer(2)),
+    integer(1),
+    sigAlg,
+    subject,
+    seq(time(notBefore), time(notAfter)),
+    subject,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    extensions.length ? explicit(3, seq(...extensions)) : null
+  );
+  return derToPem(seq(tbs, sigAlg, bitString(crypto.sign('sha256', tbs, signer))), 'CERTIFICATE');
+}
+
+test('recipientKeyError accepts RSA from 2048 bits, P-256 and X25519 only', () => {
+  assert.equal(recipientKeyError(keys.rsa1024), 'RSA keys must be at least 2048 bits');
+  assert.equal(recipientKeyError(keys.rsa2048), null);
+  assert.equal(recipientKeyError(keys.p256), null);
+  assert.equal(recipientKeyError(keys.x25519), null);
+  assert.match(recipientKeyError(keys.p384), /unsupported key type ec-secp384r1/);
+});
+
+test('a complete RSA certificate is valid and its metadata recorded', () => {
+  const { valid, errors, metadata } = validateRecipientCertificate(certificate(), { email: 'Alice@Example.com' });
+  assert.deepEqual(errors, []);
+  assert.equal(valid, true);
+  assert.equal(metadata.key_type, 'rsa-2048');
+  assert.deepEqual(metadata.key_usage, ['digitalSignature', 'keyEncipherment']);
+  assert.deepEqual(metadata.ext_key_usage, [OIDS.emailProtection]);
+  assert.deepEqual(metadata.emails, ['alice@example.com']);
+  assert.match(metadata.fingerprint, /^sha256:[0-9A-F]{64}$/);
+});
+
+test('RSA keys below 2048 bits are refused', () => {
+  const { valid, errors } = validateRecipientCertificate(certificate({ publicKey: keys.rsa1024 }));
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['RSA keys must be at least 2048 bits']);
+});
+
+test('keyUsage must match the key type: keyEncipherment for RSA, keyAgreement for EC and X25519', () => {
+  const check = (publicKey, usages) => validateRecipientCertificate(certificate({ publicKey, usages })).errors;
+  assert.deepEqual(check(keys.rsa2048, ['digitalSignature', 'keyAgreement']), ['key usage must include keyEncipherment']);
+  assert.deepEqual(check(keys.p256, ['digitalSignature', 'keyEncipherment']), ['key usage must include keyAgreement']);
+  assert.deepEqual(check(keys.p256, ['digitalSignature', 'keyAgreement']), []);
+  assert.deepEqual(check(keys.x25519, ['keyAgreement']), []);
+  assert.deepEqual(check(keys.x25519, null), ['key usage must include keyAgreement']);
+  assert.equal(inspectCertificate(certificate({ usages: null })).key_usage, null);
+});
+
+test('extended key usage must allow emailProtection', () => {
+  const check = (eku) => validateRecipientCertificate(certificate({ eku })).errors;
+  assert.deepEqual(check(['1.3.6.1.5.5.7.3.1']), ['extended key usage must include emailProtection']);
+  assert.deepEqual(check(null), ['extended key usage must include emailProtection']);
+  assert.deepEqual(check(['2.5.29.37.0']), []);
+});
+
+test('the email SAN must match the address, or any address for @domain', () => {
+  const pem = certificate({ emails: ['bob@example.com', 'Alice@Example.com'] });
+  assert.equal(validateRecipientCertificate(pem, { email: 'alice@example.com' }).valid, true);
+  assert.equal(validateRecipientCertificate(pem, { email: '@example.com' }).valid, true);
+  assert.deepEqual(validateRecipientCertificate(pem, { email: 'carol@example.com' }).errors,
+    ['certificate email SAN does not match carol@example.com']);
+  assert.deepEqual(validateRecipientCertificate(pem, { email: '@example.org' }).errors,
+    ['certificate email SAN does not match *@example.org']);
+  assert.deepEqual(validateRecipientCertificate(certificate({ emails: null }), { email: 'alice@example.com' }).errors,
+    ['certificate email SAN does not match alice@example.com']);
+});
+
+test('validity is checked against now', () => {
+  const expired = certificate({ notBefore: new Date(Date.now() - 60 * DAY), notAfter: new Date(Date.now() - DAY) });
+  assert.deepEqual(validateRecipientCertificate(expired).errors, ['certificate has expired']);
+  const pem = certificate();
+  assert.deepEqual(validateRecipientCertificate(pem, { now: new Date(Date.now() - 2 * DAY) }).errors,
+    ['certificate is not yet valid']);
+});
+
+test('input that is not a certificate is reported, not thrown', () => {
+  assert.deepEqual(validateRecipientCertificate('not a certificate'),
+    { valid: false, errors: ['not a valid X.509 certificate'], metadata: null });
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { escapeValue, unescapeValue, createDictServer } from './index.mjs';
+
+test('escapeValue escapes \\001, NUL, tab, CR and LF', () => {
+  assert.equal(escapeValue('a\tb\nc\rd\0e\x01f'), 'a\x01tb\x01nc\x01rd\x010e\x011f');
+  assert.equal(escapeValue('plain {"json": 1}'), 'plain {"json": 1}');
+  assert.equal(escapeValue(42), '42');
+});
+
+test('unescapeValue reverses escapeValue', () => {
+  for (const value of ['a\tb\nc', '\x01t', '\x01\x01\0', 'userdb/alice@example.com', '']) {
+    assert.equal(unescapeValue(escapeValue(value)), value);
+  }
+  // An unknown escape stands for the character itself
+  assert.equal(unescapeValue('a\x01xb'), 'axb');
+});
+
+async function startServer(options) {
+  const server = createDictServer(options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+// Sends the lines in one write and collects `count` reply lines
+function exchange(server, lines, count) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    let output = '';
+    socket.setEncoding('utf8');
+    socket.on('error', reject);
+    socket.on('data', (chunk) => {
+      output += chunk;
+      const replies = output.split('\n').slice(0, -1);
+      if (replies.length >= count) {
+        socket.destroy();
+        resolve(replies);
+      }
+    });
+    socket.write(lines.map((line) => `${line}\n`).join(''));
+  });
+}
+
+test('lookups are answered O, N or F after the hello', async (t) => {
+  const lookups = [];
+  const errors = [];
+  const server = await startServer({
+    onLookup: async (key, session) => {
+      lookups.push([key, session.user, session.dict]);
+      if (key === 'shared/passdb/broken') throw new Error('database down');
+      return key === 'shared/passdb/alice\t1' ? '{"password":"x\ty"}' : null;
+    },
+    onError: (error, key) => errors.push([error.message, key]),
+  });
+  t.after(() => server.close());
+
+  const replies = await exchange(server, [
+    `H3\t0\t0\t${escapeValue('alice@example.com')}\tencimap`,
+    `L${escapeValue('shared/passdb/alice\t1')}`,
+    'Lshared/passdb/bob',
+    'Lshared/passdb/broken',
+  ], 3);
+  assert.deepEqual(replies, ['O{"password":"x\x01ty"}', 'N', 'Flookup failed']);
+  assert.deepEqual(lookups.map(([key]) => key), ['shared/passdb/alice\t1', 'shared/passdb/bob', 'shared/passdb/broken']);
+  assert.deepEqual(lookups[0].slice(1), ['alice@example.com', 'encimap']);
+  assert.deepEqual(errors, [['database down', 'shared/passdb/broken']]);
+});
+
+test('iteration is empty and anything that writes is refused', async (t) => {
+  const server = await startServer({ onLookup: async () => null });
+  t.after(() => server.close());
+
+  const replies = await exchange(server, ['H3\t0\t0\t\tencimap', 'I0\tshared/userdb/', 'Bshared/passdb/alice\tx', 'C1'], 3);
+  assert.deepEqual(replies, ['', 'Fread-only dictionary', 'Fread-only dictionary']);
+});
@@ -0,0 +1,95 @@
+import net from 'net';
+
+// Dovecot dict proxy protocol, server side and read-only: enough for
+// passdb/userdb `driver = dict` with `uri = proxy:<socket>:<name>`. Lines are
+// tab-separated with \001 escapes. The client says hello
+// ("H<major>\t<minor>\t<value_type>\t<user>\t<dict>"), then looks keys up
+// ("L<key>", answered "O<value>", "N" or "F<error>") or iterates ("I...",
+// answered here with an empty result). Anything that writes is refused.
+// The caller answers lookups through `onLookup(key, session) -> value|null`.
+
+const MAX_LINE = 64 * 1024;
+
+const ESCAPES = { '0': '\0', '1': '\x01', t: '\t', r: '\r', n: '\n' };
+
+export function unescapeValue(text) {
+  return text.replace(/\x01(.)/g, (m, c) => ESCAPES[c] ?? c);
+}
+
+export function escapeValue(text) {
+  return String(text)
+    .replace(/\x01/g, '\x011')
+    .replace(/\0/g, '\x010')
+    .replace(/\t/g, '\x01t')
+    .replace(/\r/g, '\x01r')
+    .replace(/\n/g, '\x01n');
+}
+
+/**
+ * net.Server for the dict proxy protocol. Options: `onLookup`, `onError`
+ * (a failed lookup is answered with F, which Dovecot treats as a temporary
+ * failure).
+ */
+export function createDictServer(options) {
+  const settings = { onError: () => {}, ...options };
+
+  return net.createServer((socket) => {
+    const session = { major: null, minor: null, user: null, dict: null };
+    let input = '';
+    let busy = false;
+
+    const handle = async (line) => {
+      const command = line[0];
+      const args = line.slice(1).split('\t').map(unescapeValue);
+      switch (command) {
+        case 'H':
+          [session.major, session.minor, , session.user, session.dict] = args;
+          return null;
+        case 'L': {
+          try {
+            const value = await settings.onLookup(args[0], session);
+            return value === null || value === undefined ? 'N' : `O${escapeValue(value)}`;
+          } catch (error) {
+            settings.onError(error, args[0]);
+            return 'Flookup failed';
+          }
+        }
+        case 'I':
+          // Listing every user is not offered: an empty iteration
+          return '';
+        default:
+          return 'Fread-only dictionary';
+      }
+    };
+
+    const pump = async () => {
+      if (busy) return;
+      busy = true;
+      socket.pause();
+      try {
+        let nl;
+        while ((nl = input.indexOf('\n')) !== -1 && !socket.destroyed) {
+          const line = input.slice(0, nl);
+          input = input.slice(nl + 1);
+          if (!line) continue;
+          const reply = await handle(line);
+          if (reply !== null && !socket.destroyed) socket.write(`${reply}\n`);
+        }
+      } finally {
+        busy = false;
+        if (!socket.destroyed) socket.resume();
+      }
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      input += chunk;
+      if (input.length > MAX_LINE && input.indexOf('\n') === -1) {
+        socket.destroy();
+        return;
+      }
+      pump();
+    });
+    socket.on('error', () => {});
+  });
+}
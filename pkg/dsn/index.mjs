@@ -0,0 +1,64 @@
+// Delivery outcomes shared by intake and the Postfix pipe client: the HTTP
+// status intake answers with, the SMTP reply and RFC 3463 enhanced status
+// code the MTA should give, and the sysexits(3) code the pipe exits with.
+
+export const DELIVERY_STATUS = {
+  delivered: { http: 200, smtp_code: 250, enhanced_code: '2.0.0', message: 'message delivered' },
+  // Safely spooled; the intake worker completes delivery
+  queued: { http: 202, smtp_code: 250, enhanced_code: '2.0.0', message: 'message accepted for delivery' },
+  // Same message already accepted within the dedup window; nothing new stored
+  duplicate: { http: 200, smtp_code: 250, enhanced_code: '2.0.0', message: 'duplicate of an accepted message' },
+  // Pipe invoked without a usable vaultbox id: local configuration, retry once fixed
+  bad_request: { http: 400, smtp_code: 451, enhanced_code: '4.3.5', message: 'intake request misconfigured' },
+  bad_address: { http: 400, smtp_code: 553, enhanced_code: '5.1.3', message: 'malformed recipient address' },
+  unknown_vaultbox: { http: 404, smtp_code: 550, enhanced_code: '5.1.1', message: 'no such mailbox' },
+  unknown_domain: { http: 404, smtp_code: 550, enhanced_code: '5.1.2', message: 'domain not handled here' },
+  message_too_large: { http: 413, smtp_code: 552, enhanced_code: '5.3.4', message: 'message too large' },
+  // No usable certificate (all disabled or retired): the owner can add one
+  no_certificates: { http: 503, smtp_code: 451, enhanced_code: '4.7.5', message: 'mailbox has no encryption certificate' },
+  backend_unavailable: { http: 503, smtp_code: 451, enhanced_code: '4.3.0', message: 'encryption backend unavailable' },
+};
+
+/**
+ * Response body for a delivery outcome: `{ ok, error?, smtp_code,
+ * enhanced_code, message, ...extra }`. Returns `[httpStatus, body]`.
+ */
+export function deliveryResult(outcome, extra = {}) {
+  const status = DELIVERY_STATUS[outcome];
+  if (!status) throw new Error(`Unknown delivery outcome ${outcome}`);
+  const { http, ...reply } = status;
+  const ok = http < 300;
+  return [http, { ok, ...(ok ? {} : { error: outcome }), ...reply, ...extra }];
+}
+
+// sysexits.h values understood by Postfix pipe(8)
+export const SYSEXITS = {
+  OK: 0,
+  DATAERR: 65,
+  NOUSER: 67,
+  NOHOST: 68,
+  UNAVAILABLE: 69,
+  SOFTWARE: 70,
+  CANTCREAT: 73,
+  TEMPFAIL: 75,
+  NOPERM: 77,
+  CONFIG: 78,
+};
+
+/**
+ * Exit code for an enhanced status: success, any 4.x.x defers, 5.x.x
+ * bounces with the closest class. Postfix still reports the exact code when
+ * the pipe prints it first on its output.
+ */
+export function sysexitFor(enhancedCode) {
+  const [klass, subject, detail] = String(enhancedCode || '').split('.').map(Number);
+  if (klass === 2) return SYSEXITS.OK;
+  if (klass !== 5) return SYSEXITS.TEMPFAIL;
+  switch (subject) {
+    case 1: return detail === 2 ? SYSEXITS.NOHOST : SYSEXITS.NOUSER;
+    case 2: return SYSEXITS.CANTCREAT;
+    case 6: return SYSEXITS.DATAERR;
+    case 7: return SYSEXITS.NOPERM;
+    default: return SYSEXITS.UNAVAILABLE;
+  }
+}
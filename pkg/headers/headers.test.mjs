@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  parseHeaderBlock,
+  headerValue,
+  decodedValue,
+  decodeWords,
+  parseAddressList,
+  originatorFields,
+  addressLocalPart,
+  splitSubaddress,
+  formatAddress,
+  formatHeader,
+} from './index.mjs';
+import { extractIndexMetadata } from '../metadata/index.mjs';
+
+// Corpus in fixtures/: real-world shapes with the addresses replaced.
+// mailing-list.eml has CRLF line ends, malformed.eml raw Windows-1252 bytes.
+const corpus = (name) => parseHeaderBlock(fs.readFileSync(new URL(`fixtures/${name}`, import.meta.url)));
+
+test('parseHeaderBlock unfolds continuation lines and keeps message order', () => {
+  const headers = corpus('mailing-list.eml');
+  assert.deepEqual(headers.map(([name]) => name), [
+    'return-path', 'received', 'message-id', 'date', 'from', 'to', 'subject', 'list-id',
+    'list-unsubscribe', 'sender', 'reply-to', 'mime-version', 'content-type',
+  ]);
+  assert.equal(
+    headerValue(headers, 'subject'),
+    'Re: [dev] Proposal: move the nightly build to the new runners and drop the old cache'
+  );
+  // The folding whitespace itself stays
+  assert.equal(headerValue(headers, 'to'), 'dev@lists.example.org, "Carol (QA)" <carol@example.com>,\tdave@example.com');
+  assert.match(headerValue(headers, 'received'), /\[192\.0\.2\.25\]\)\tby mx\.example\.com/);
+});
+
+test('parseHeaderBlock stops at the body and skips lines that are not fields', () => {
+  const headers = corpus('malformed.eml');
+  assert.deepEqual(headers.map(([name]) => name), ['message-id', 'date', 'from', 'to', 'subject', 'x-empty']);
+  assert.equal(headerValue(headers, 'x-empty'), '');
+  assert.equal(headerValue(parseHeaderBlock('Subject: a\n\nX-Body: b\n'), 'x-body'), null);
+});
+
+test('parseHeaderBlock reads raw 8-bit text as UTF-8, else Windows-1252', () => {
+  assert.equal(headerValue(corpus('malformed.eml'), 'subject'), 'Café crème – 50% off');
+  assert.equal(headerValue(parseHeaderBlock(Buffer.from('Subject: Grüße\n')), 'subject'), 'Grüße');
+});
+
+test('decodeWords decodes B and Q words in mixed charsets', () => {
+  const headers = corpus('encoded-words.eml');
+  assert.equal(decodedValue(headers, 'subject'), 'Café – menü');
+  assert.equal(decodeWords(headerValue(headers, 'x-mixed-text')), 'Order n° 42 shipped');
+  assert.equal(decodeWords(headerValue(headers, 'x-language')), 'Ĳsselmeer');
+  assert.equal(decodeWords('=?windows-1252?Q?=93quoted=94?='), '“quoted”');
+});
+
+test('decodeWords joins adjacent words, also across a character split between them', () => {
+  assert.equal(decodeWords(headerValue(corpus('encoded-words.eml'), 'x-split-word')), '日本語');
+  assert.equal(decodeWords('=?UTF-8?Q?a?= \t =?UTF-8?Q?b?= c =?UTF-8?Q?d?='), 'ab c d');
+});
+
+test('decodeWords leaves unknown charsets and plain text alone', () => {
+  assert.equal(decodeWords(headerValue(corpus('encoded-words.eml'), 'x-unknown-charset')), '=?x-no-such-charset?B?aGVsbG8=?= there');
+  assert.equal(decodeWords('no words here'), 'no words here');
+  assert.equal(decodeWords(''), '');
+});
+
+test('parseAddressList handles display names, comments and lowercases domains', () => {
+  const headers = corpus('mailing-list.eml');
+  assert.deepEqual(parseAddressList(headerValue(headers, 'to')), [
+    { name: null, address: 'dev@lists.example.org', group: null },
+    { name: 'Carol (QA)', address: 'carol@example.com', group: null },
+    { name: null, address: 'dave@example.com', group: null },
+  ]);
+  assert.deepEqual(parseAddressList(headerValue(headers, 'from')), [
+    { name: 'Bob Builder', address: 'bob@example.net', group: null },
+  ]);
+});
+
+test('parseAddressList decodes encoded display names', () => {
+  assert.deepEqual(parseAddressList(headerValue(corpus('encoded-words.eml'), 'to')), [
+    { name: 'André Faure', address: 'andre@example.fr', group: null },
+    { name: '山田', address: 'yamada@example.jp', group: null },
+  ]);
+});
+
+test('parseAddressList handles quoted names containing specials and groups', () => {
+  const headers = corpus('groups-and-quoting.eml');
+  assert.deepEqual(parseAddressList(headerValue(headers, 'from')), [
+    { name: 'alice@example.com via Calendar', address: 'calendar-notification@example.com', group: null },
+  ]);
+  assert.deepEqual(parseAddressList(headerValue(headers, 'to')), []);
+  assert.deepEqual(parseAddressList(headerValue(headers, 'cc')), [
+    { name: 'Doe, John', address: 'john.doe@example.com', group: 'Project Team' },
+    { name: null, address: 'mary@example.com', group: 'Project Team' },
+    { name: null, address: 'outsider@example.org', group: null },
+  ]);
+  assert.deepEqual(parseAddressList(headerValue(headers, 'bcc')), [
+    { name: '"Quoted" \\ Name', address: 'quoted@example.com', group: null },
+  ]);
+});
+
+test('parseAddressList drops entries without a usable address', () => {
+  const headers = corpus('malformed.eml');
+  assert.deepEqual(parseAddressList(headerValue(headers, 'to')), []);
+  assert.deepEqual(parseAddressList(headerValue(headers, 'from')), [
+    { name: 'Special Offer', address: 'offers@bulk.example.biz', group: null },
+  ]);
+  assert.deepEqual(parseAddressList(null), []);
+});
+
+test('originatorFields reads Sender, Reply-To and Return-Path', () => {
+  assert.deepEqual(originatorFields(corpus('mailing-list.eml')), {
+    from: [{ name: 'Bob Builder', address: 'bob@example.net', group: null }],
+    sender: { name: 'dev', address: 'dev-bounces@lists.example.org', group: null },
+    reply_to: [{ name: 'Developer discussion', address: 'dev@lists.example.org', group: null }],
+    return_path: 'dev-bounces+alice=example.com@lists.example.org',
+  });
+  const quoting = originatorFields(corpus('groups-and-quoting.eml'));
+  // Source route dropped; legacy comment as the name
+  assert.deepEqual(quoting.sender, { name: null, address: 'owner@example.com', group: null });
+  assert.deepEqual(quoting.reply_to, [{ name: 'Alice Liddell', address: 'alice@example.com', group: null }]);
+  assert.equal(quoting.return_path, null);
+  assert.equal(originatorFields(corpus('subaddress.eml')).return_path, '');
+});
+
+test('splitSubaddress splits at the first delimiter past the first character', () => {
+  const locals = parseAddressList(headerValue(corpus('subaddress.eml'), 'to')).map(({ address }) => addressLocalPart(address));
+  assert.deepEqual(locals, ['alice+shop', 'bob-news', '+tagonly']);
+  assert.deepEqual(splitSubaddress(locals[0], '+'), { base: 'alice', tag: 'shop' });
+  assert.equal(splitSubaddress(locals[1], '+'), null);
+  assert.deepEqual(splitSubaddress(locals[1], '+-'), { base: 'bob', tag: 'news' });
+  assert.equal(splitSubaddress(locals[2], '+'), null);
+  assert.deepEqual(splitSubaddress('alice+', '+'), { base: 'alice', tag: '' });
+  assert.deepEqual(splitSubaddress('a+b+c', '+'), { base: 'a', tag: 'b+c' });
+  assert.equal(splitSubaddress('alice+shop', ''), null);
+});
+
+test('index metadata copes with a malformed Message-ID and Date', () => {
+  const malformed = extractIndexMetadata(corpus('malformed.eml'), { bytes: 300 });
+  assert.equal(malformed.messageId, '1717211045.4411.not-bracketed@bulk.example.biz');
+  assert.equal(malformed.headersMeta.date, null);
+
+  const list = extractIndexMetadata(corpus('mailing-list.eml'), { bytes: 300 });
+  assert.equal(list.messageId, 'CAH8yC8kZ3+q1Qm@mail.example.net');
+  // Trailing zone comment ignored
+  assert.equal(list.headersMeta.date, '2024-06-04T09:12:31.000Z');
+  assert.equal(list.headersMeta.list_id, 'dev.lists.example.org');
+});
+
+test('formatAddress quotes or encodes the display name as needed', () => {
+  assert.equal(formatAddress({ name: null, address: 'a@example.com' }), 'a@example.com');
+  assert.equal(formatAddress({ name: 'Plain Name', address: 'a@example.com' }), 'Plain Name <a@example.com>');
+  assert.equal(formatAddress({ name: 'Doe, John', address: 'j@example.com' }), '"Doe, John" <j@example.com>');
+  assert.equal(formatAddress({ name: 'Zoë Müller', address: 'zoe@example.de' }), '=?UTF-8?B?Wm/DqyBNw7xsbGVy?= <zoe@example.de>');
+});
+
+test('formatAddress output parses back to the same mailbox', () => {
+  for (const file of ['mailing-list.eml', 'encoded-words.eml', 'groups-and-quoting.eml']) {
+    const headers = corpus(file);
+    for (const name of ['from', 'to', 'cc', 'bcc']) {
+      for (const mailbox of parseAddressList(headerValue(headers, name))) {
+        assert.deepEqual(parseAddressList(formatAddress(mailbox)), [{ ...mailbox, group: null }], `${file} ${name}`);
+      }
+    }
+  }
+});
+
+test('formatHeader folds at whitespace within 78 characters', () => {
+  assert.equal(formatHeader('Subject', 'short'), 'Subject: short');
+  const subject = headerValue(corpus('mailing-list.eml'), 'subject');
+  const folded = formatHeader('Subject', subject);
+  assert.equal(folded, 'Subject: Re: [dev] Proposal: move the nightly build to the new runners and\r\n drop the old cache');
+  assert.equal(headerValue(parseHeaderBlock(folded), 'subject'), subject);
+  // A word longer than a line is not broken
+  assert.equal(formatHeader('X-Long', `${'a'.repeat(90)} b`), `X-Long: ${'a'.repeat(90)}\r\n b`);
+});
+
+test('formatHeader keeps long encoded names readable after a round trip', () => {
+  const name = Array(6).fill('Zoë Müller').join(' ');
+  const field = formatHeader('From', formatAddress({ name, address: 'zoe@example.de' }));
+  assert.ok(field.split('\r\n').every((line) => line.length <= 78));
+  assert.deepEqual(originatorFields(parseHeaderBlock(field)).from, [{ name, address: 'zoe@example.de', group: null }]);
+});
@@ -0,0 +1,375 @@
+// RFC 5322 message headers: the header block with folding undone, RFC 2047
+// encoded words, address lists (display names, quoted strings, comments,
+// groups) and the originator fields, plus formatting for messages we write.
+// Raw 8-bit header text is read as UTF-8 (RFC 6532), else as Windows-1252.
+
+/**
+ * Header block of a message as [lowercased name, unfolded value] pairs, in
+ * message order. Lines that are not a valid field (an mbox "From " line,
+ * garbage) are skipped.
+ */
+export function parseHeaderBlock(input) {
+  const text = typeof input === 'string' ? input : decodeRaw(input);
+  const end = text.search(/\r?\n\r?\n/);
+  const block = end === -1 ? text : text.slice(0, end);
+  const headers = [];
+  let current = null;
+  for (const line of block.split(/\r?\n/)) {
+    // Unfolding removes the line break only; the leading whitespace stays
+    if (/^[ \t]/.test(line)) {
+      if (current) current[1] += line;
+      continue;
+    }
+    const idx = line.indexOf(':');
+    const name = idx > 0 ? line.slice(0, idx).trimEnd() : '';
+    current = /^[!-9;-~]+$/.test(name) ? [name.toLowerCase(), line.slice(idx + 1)] : null;
+    if (current) headers.push(current);
+  }
+  return headers.map(([name, value]) => [name, value.trim()]);
+}
+
+function decodeRaw(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (_) {
+    return decodeCharset(buffer, 'windows-1252');
+  }
+}
+
+// Windows-1252 at 0x80-0x9f; Node's decoder gives the Latin-1 controls
+const CP1252_C1 = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f'
+  + '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+// Bytes in a charset by its WHATWG label (latin1, iso-8859-1 and us-ascii
+// all mean Windows-1252); throws for an unknown one
+function decodeCharset(bytes, charset) {
+  const decoder = new TextDecoder(charset);
+  const text = decoder.decode(bytes);
+  if (decoder.encoding !== 'windows-1252') return text;
+  return text.replace(/[\x80-\x9f]/g, (c) => CP1252_C1[c.charCodeAt(0) - 0x80]);
+}
+
+export function headerValue(headers, name) {
+  const found = headers.find(([n]) => n === name);
+  return found ? found[1] : null;
+}
+
+export function headerValues(headers, name) {
+  return headers.filter(([n]) => n === name).map(([, v]) => v);
+}
+
+/**
+ * Unstructured header (Subject, ...) for display: encoded words decoded,
+ * whitespace runs collapsed
+ */
+export function decodedValue(headers, name) {
+  const value = headerValue(headers, name);
+  return value === null ? null : decodeWords(value).replace(/\s+/g, ' ').trim();
+}
+
+// ====================================================================
+// RFC 2047 ENCODED WORDS
+// ====================================================================
+
+const ENCODED_WORD = /=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g;
+
+function qDecode(data) {
+  const bytes = [];
+  for (let i = 0; i < data.length; i++) {
+    const c = data[i];
+    if (c === '_') {
+      bytes.push(0x20);
+    } else if (c === '=' && /^[0-9a-fA-F]{2}$/.test(data.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(data.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(c.charCodeAt(0) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode the encoded words in a header value. Whitespace between adjacent
+ * encoded words is dropped, and adjacent words in one charset are decoded
+ * together so a character split across them survives. A word in an unknown
+ * charset is left as it is.
+ */
+export function decodeWords(text) {
+  if (!text || !text.includes('=?')) return text;
+  let out = '';
+  let run = null; // adjacent words in one charset: { charset, bytes, raw }
+  let last = 0;
+
+  const flush = () => {
+    if (!run) return;
+    try {
+      out += decodeCharset(Buffer.concat(run.bytes), run.charset);
+    } catch (_) {
+      out += run.raw.join('');
+    }
+    run = null;
+  };
+
+  for (const m of text.matchAll(ENCODED_WORD)) {
+    const between = text.slice(last, m.index);
+    if (!/^[ \t\r\n]*$/.test(between) || last === 0) {
+      flush();
+      out += between;
+    }
+    // RFC 2231 allows a language suffix: =?UTF-8*en?...
+    const charset = m[1].split('*')[0].toLowerCase();
+    const bytes = m[2].toUpperCase() === 'B' ? Buffer.from(m[3], 'base64') : qDecode(m[3]);
+    if (run && run.charset !== charset) flush();
+    if (!run) run = { charset, bytes: [], raw: [] };
+    run.bytes.push(bytes);
+    run.raw.push(m[0]);
+    last = m.index + m[0].length;
+  }
+  flush();
+  return out + text.slice(last);
+}
+
+/**
+ * Encode text for a header as UTF-8 "B" encoded words when it is not plain
+ * ASCII, each word short enough to fold (RFC 2047 section 2)
+ */
+export function encodeWords(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w).toString('base64')}?=`).join(' ');
+}
+
+// ====================================================================
+// ADDRESSES
+// ====================================================================
+
+const SPECIALS = '()<>[]:;@\\,."';
+
+// Lexical tokens of a structured header: quoted strings, comments, domain
+// literals, specials, atoms and whitespace
+function tokenize(value) {
+  const tokens = [];
+  let i = 0;
+  while (i < value.length) {
+    const c = value[i];
+    if (/\s/.test(c)) {
+      const start = i;
+      while (i < value.length && /\s/.test(value[i])) i++;
+      tokens.push({ type: 'space', text: value.slice(start, i) });
+    } else if (c === '"') {
+      let text = '';
+      for (i++; i < value.length && value[i] !== '"'; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) i++;
+        text += value[i];
+      }
+      i++;
+      tokens.push({ type: 'quoted', text });
+    } else if (c === '(') {
+      let depth = 0;
+      let text = '';
+      for (; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+          text += value[++i];
+          continue;
+        }
+        if (value[i] === '(' && depth++ === 0) continue;
+        if (value[i] === ')' && --depth === 0) break;
+        text += value[i];
+      }
+      i++;
+      tokens.push({ type: 'comment', text });
+    } else if (c === '[') {
+      const close = value.indexOf(']', i);
+      const end = close === -1 ? value.length : close + 1;
+      tokens.push({ type: 'atom', text: value.slice(i, end) });
+      i = end;
+    } else if (SPECIALS.includes(c)) {
+      tokens.push({ type: 'special', text: c });
+      i++;
+    } else {
+      const start = i;
+      while (i < value.length && !/\s/.test(value[i]) && !SPECIALS.includes(value[i])) i++;
+      tokens.push({ type: 'atom', text: value.slice(start, i) });
+    }
+  }
+  return tokens;
+}
+
+// Display name from phrase tokens, keeping the original spacing
+function phrase(tokens) {
+  const text = tokens
+    .filter((t) => t.type !== 'comment')
+    .map((t) => (t.type === 'space' ? ' ' : t.text))
+    .join('')
+    .trim();
+  // Encoded words inside quotes are not allowed but common enough to honour
+  return text ? decodeWords(text).trim() : null;
+}
+
+// addr-spec from tokens: local part and domain lowercased past the '@'
+function addrSpec(tokens) {
+  const parts = tokens.filter((t) => t.type !== 'space' && t.type !== 'comment');
+  // Obsolete source route: <@relay1,@relay2:user@domain>
+  const colon = parts.findIndex((t) => t.type === 'special' && t.text === ':');
+  const spec = colon === -1 ? parts : parts.slice(colon + 1);
+  const text = spec.map((t) => (t.type === 'quoted' && /[\s"(),:;<>@[\\\]]/.test(t.text)
+    ? `"${t.text.replace(/(["\\])/g, '\\$1')}"`
+    : t.text)).join('');
+  const at = text.lastIndexOf('@');
+  if (at < 1 || at === text.length - 1) return null;
+  return `${text.slice(0, at)}@${text.slice(at + 1).toLowerCase()}`;
+}
+
+function mailbox(tokens, group) {
+  const open = tokens.findIndex((t) => t.type === 'special' && t.text === '<');
+  if (open !== -1) {
+    let close = tokens.findIndex((t, i) => i > open && t.type === 'special' && t.text === '>');
+    if (close === -1) close = tokens.length;
+    const address = addrSpec(tokens.slice(open + 1, close));
+    return address ? { name: phrase(tokens.slice(0, open)), address, group } : null;
+  }
+  const address = addrSpec(tokens);
+  if (!address) return null;
+  // Legacy form: user@example.com (Display Name)
+  const comment = tokens.find((t) => t.type === 'comment');
+  return { name: comment ? decodeWords(comment.text).trim() || null : null, address, group };
+}
+
+/**
+ * Mailboxes of an address header (From, To, Cc, Reply-To, ...) as
+ * `{ name, address, group }`. Display names are decoded; members of a group
+ * carry its name, an empty group ("undisclosed-recipients:;") yields
+ * nothing; entries without a usable address are dropped.
+ */
+export function parseAddressList(value) {
+  if (!value) return [];
+  const result = [];
+  let current = [];
+  let group = null;
+  let inAngle = false;
+
+  const flush = () => {
+    const entry = mailbox(current, group);
+    if (entry) result.push(entry);
+    current = [];
+  };
+
+  for (const token of tokenize(value)) {
+    if (token.type === 'special') {
+      if (token.text === '<') inAngle = true;
+      if (token.text === '>') inAngle = false;
+      if (!inAngle && token.text === ',') {
+        flush();
+        continue;
+      }
+      // A colon outside <> before any address starts a group
+      if (!inAngle && token.text === ':' && group === null
+        && !current.some((t) => t.type === 'special' && (t.text === '@' || t.text === '<'))) {
+        group = phrase(current) || '';
+        current = [];
+        continue;
+      }
+      if (!inAngle && token.text === ';' && group !== null) {
+        flush();
+        group = null;
+        continue;
+      }
+    }
+    current.push(token);
+  }
+  flush();
+  return result;
+}
+
+export function parseMailbox(value) {
+  return parseAddressList(value)[0] || null;
+}
+
+export function addressDomain(address) {
+  const at = address ? address.lastIndexOf('@') : -1;
+  return at === -1 ? null : address.slice(at + 1).toLowerCase();
+}
+
+export function addressLocalPart(address) {
+  const at = address ? address.lastIndexOf('@') : -1;
+  return at === -1 ? null : address.slice(0, at);
+}
+
+/**
+ * Split a subaddressed local part ("alice+shop") at the first character in
+ * `delimiters`, as Postfix does with recipient_delimiter. Null when there is
+ * no delimiter past the first character; the tag may be empty ("alice+").
+ */
+export function splitSubaddress(localPart, delimiters) {
+  if (!localPart || !delimiters) return null;
+  for (let i = 1; i < localPart.length; i++) {
+    if (delimiters.includes(localPart[i])) {
+      return { base: localPart.slice(0, i), tag: localPart.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Return-Path as an address: '' for the null sender, null if absent or
+ * unparseable
+ */
+export function parseReturnPath(value) {
+  if (value === null || value === undefined) return null;
+  if (/^<\s*>$/.test(value.trim())) return '';
+  return parseMailbox(value)?.address ?? null;
+}
+
+/**
+ * Originator fields (RFC 5322 section 3.6.2) and Return-Path
+ */
+export function originatorFields(headers) {
+  return {
+    from: parseAddressList(headerValue(headers, 'from')),
+    sender: parseMailbox(headerValue(headers, 'sender')),
+    reply_to: parseAddressList(headerValue(headers, 'reply-to')),
+    return_path: parseReturnPath(headerValue(headers, 'return-path')),
+  };
+}
+
+// ====================================================================
+// FORMATTING
+// ====================================================================
+
+/**
+ * `Name <address>` with the name quoted or encoded as needed
+ */
+export function formatAddress({ name, address }) {
+  if (!name) return address;
+  let display = name;
+  if (!/^[\x20-\x7e]*$/.test(name)) display = encodeWords(name);
+  else if (/[()<>[\]:;@\\,."]/.test(name)) display = `"${name.replace(/(["\\])/g, '\\$1')}"`;
+  return `${display} <${address}>`;
+}
+
+/**
+ * A header line folded at whitespace to stay within 78 characters
+ */
+export function formatHeader(name, value) {
+  const lines = [];
+  let line = `${name}:`;
+  for (const word of String(value).split(' ')) {
+    if (line.length + 1 + word.length > 78 && line.length > name.length + 1) {
+      lines.push(line);
+      line = '';
+    }
+    line += ` ${word}`;
+  }
+  lines.push(line);
+  return lines.join('\r\n');
+}
@@ -0,0 +1,29 @@
+import fs from 'fs';
+
+// Listen addresses of the intake, policy, lookup and auth daemons: "host:port",
+// "port" or a unix socket path (anything with a '/')
+
+/**
+ * `{ path }` or `{ host, port }` for net.connect / net.Server#listen
+ */
+export function parseListenAddress(address) {
+  if (address.includes('/')) return { path: address };
+  const idx = address.lastIndexOf(':');
+  return { host: idx === -1 ? undefined : address.slice(0, idx), port: Number(address.slice(idx + 1)) };
+}
+
+/**
+ * Start `server` on `address`. A stale socket file is replaced and the new
+ * socket gets `socketMode`.
+ */
+export async function listen(server, address, { socketMode = 0o660 } = {}) {
+  const target = parseListenAddress(address);
+  if (target.path) await fs.promises.rm(target.path, { force: true });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    if (target.path) server.listen(target.path, resolve);
+    else server.listen(target.port, target.host, resolve);
+  });
+  if (target.path) await fs.promises.chmod(target.path, socketMode);
+  return server;
+}
@@ -0,0 +1,309 @@
+import net from 'net';
+import { PassThrough } from 'stream';
+
+// LMTP server (RFC 2033): the SMTP dialogue with LHLO instead of EHLO and,
+// after DATA, one reply per accepted recipient. The protocol lives here; the
+// caller decides through two hooks:
+//   onRecipient(address, session) -> reply; a 2xx reply accepts the recipient
+//     and its `data` is kept with it
+//   onData(stream, session) -> one reply per accepted recipient, in RCPT
+//     order; `stream` is the message with dot-stuffing undone
+// Postfix's XFORWARD (lmtp_send_xforward_command) is accepted, so the
+// original client is known: `session.xforward` holds NAME, ADDR, PROTO and
+// HELO as name, addr, proto and helo for the current transaction.
+// A reply is `{ code, enhanced, text }`.
+
+const MAX_COMMAND_LINE = 4096;
+
+function formatReply({ code, enhanced, text }) {
+  return `${code} ${enhanced ? `${enhanced} ` : ''}${text}\r\n`;
+}
+
+// Undo dot-stuffing (RFC 5321 section 4.5.2) on a stream of chunks and find
+// the terminating "." line. Long lines are passed on in pieces, so memory
+// stays bounded whatever the client sends.
+export class DotDecoder {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.atLineStart = true;
+  }
+
+  /**
+   * Feed a chunk: returns `{ data, rest }` where `rest` is what follows the
+   * terminator (null while the message has not ended)
+   */
+  push(chunk) {
+    let buf = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+    this.pending = Buffer.alloc(0);
+    const out = [];
+    while (buf.length > 0) {
+      if (this.atLineStart && buf[0] === 0x2e) {
+        const end = buf[1] === 0x0a ? 2 : (buf[1] === 0x0d && buf[2] === 0x0a ? 3 : 0);
+        if (end) return { data: Buffer.concat(out), rest: buf.subarray(end) };
+        // "." or ".\r" so far: the next chunk decides
+        if (buf.length < 3 && (buf.length === 1 || buf[1] === 0x0d)) {
+          this.pending = buf;
+          break;
+        }
+        buf = buf.subarray(1);
+      }
+      const nl = buf.indexOf(0x0a);
+      if (nl === -1) {
+        out.push(buf);
+        this.atLineStart = false;
+        break;
+      }
+      out.push(buf.subarray(0, nl + 1));
+      buf = buf.subarray(nl + 1);
+      this.atLineStart = true;
+    }
+    return { data: Buffer.concat(out), rest: null };
+  }
+}
+
+// Mailbox and ESMTP parameters of a MAIL FROM / RCPT TO argument
+function parsePath(arg, keyword) {
+  const m = new RegExp(`^${keyword}:\\s*<([^<>]*)>\\s*(.*)$`, 'i').exec(arg);
+  if (!m) return null;
+  const params = {};
+  for (const param of m[2].split(/\s+/).filter(Boolean)) {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.length ? value.join('=') : true;
+  }
+  return { address: m[1].trim(), params };
+}
+
+const XFORWARD_ATTRIBUTES = ['NAME', 'ADDR', 'PROTO', 'HELO'];
+
+// XFORWARD values are xtext (RFC 3461): "+XX" for special characters
+function decodeXtext(value) {
+  return value.replace(/\+([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+class LmtpSession {
+  constructor(socket, options) {
+    this.socket = socket;
+    this.options = options;
+    this.clientName = null;
+    this.input = Buffer.alloc(0);
+    this.busy = false;
+    this.data = null; // { decoder, stream } while receiving DATA
+    this.reset();
+
+    socket.setTimeout(options.idleTimeoutMs);
+    socket.on('timeout', () => {
+      this.write({ code: 421, enhanced: '4.4.2', text: `${options.hostname} timeout, closing connection` });
+      socket.destroy();
+    });
+    socket.on('data', (chunk) => {
+      this.input = this.input.length ? Buffer.concat([this.input, chunk]) : chunk;
+      this.pump();
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      if (this.data) this.data.stream.destroy(new Error('connection closed during DATA'));
+    });
+    this.write({ code: 220, text: `${options.hostname} LMTP ready` });
+  }
+
+  reset() {
+    this.mailFrom = null;
+    this.mailParams = {};
+    this.recipients = [];
+    this.xforward = {};
+  }
+
+  write(reply) {
+    if (!this.socket.destroyed) this.socket.write(formatReply(reply));
+  }
+
+  writeLines(code, lines) {
+    if (this.socket.destroyed) return;
+    this.socket.write(lines.map((line, i) => `${code}${i === lines.length - 1 ? ' ' : '-'}${line}\r\n`).join(''));
+  }
+
+  // Commands are handled one at a time, in order, which is all PIPELINING
+  // asks of a server; input is held while a command is busy
+  async pump() {
+    if (this.busy) return;
+    this.busy = true;
+    this.socket.pause();
+    try {
+      while (this.input.length > 0 && !this.socket.destroyed) {
+        if (this.data) {
+          const chunk = this.input;
+          this.input = Buffer.alloc(0);
+          await this.receiveData(chunk);
+          continue;
+        }
+        const nl = this.input.indexOf(0x0a);
+        if (nl === -1) {
+          if (this.input.length > MAX_COMMAND_LINE) {
+            this.write({ code: 500, enhanced: '5.5.2', text: 'line too long' });
+            this.socket.destroy();
+          }
+          break;
+        }
+        const line = this.input.subarray(0, nl).toString('utf8').replace(/\r$/, '');
+        this.input = this.input.subarray(nl + 1);
+        await this.command(line);
+      }
+    } finally {
+      this.busy = false;
+      if (!this.socket.destroyed) this.socket.resume();
+    }
+  }
+
+  async command(line) {
+    const [verb, ...rest] = line.split(' ');
+    const arg = rest.join(' ').trim();
+    switch (verb.toUpperCase()) {
+      case 'LHLO':
+        if (!arg) return this.write({ code: 501, enhanced: '5.5.4', text: 'syntax: LHLO hostname' });
+        this.clientName = arg;
+        this.reset();
+        return this.writeLines(250, [
+          this.options.hostname,
+          'PIPELINING',
+          'ENHANCEDSTATUSCODES',
+          ...(this.options.maxMessageBytes ? [`SIZE ${this.options.maxMessageBytes}`] : []),
+          '8BITMIME',
+          `XFORWARD ${XFORWARD_ATTRIBUTES.join(' ')}`,
+        ]);
+      case 'HELO':
+      case 'EHLO':
+        return this.write({ code: 500, enhanced: '5.5.1', text: 'this is an LMTP server, use LHLO' });
+      case 'XFORWARD':
+        return this.forward(arg);
+      case 'MAIL':
+        return this.mail(arg);
+      case 'RCPT':
+        return this.rcpt(arg);
+      case 'DATA':
+        return this.startData(arg);
+      case 'RSET':
+        this.reset();
+        return this.write({ code: 250, enhanced: '2.0.0', text: 'ok' });
+      case 'NOOP':
+        return this.write({ code: 250, enhanced: '2.0.0', text: 'ok' });
+      case 'VRFY':
+        return this.write({ code: 252, enhanced: '2.5.0', text: 'cannot VRFY, send some mail' });
+      case 'QUIT':
+        this.write({ code: 221, enhanced: '2.0.0', text: `${this.options.hostname} closing connection` });
+        return this.socket.end();
+      default:
+        return this.write({ code: 500, enhanced: '5.5.2', text: 'command not recognized' });
+    }
+  }
+
+  // "[UNAVAILABLE]" and "[TEMPUNAVAIL]" leave an attribute unset
+  forward(arg) {
+    if (!this.clientName) return this.write({ code: 503, enhanced: '5.5.1', text: 'send LHLO first' });
+    if (this.mailFrom !== null) return this.write({ code: 503, enhanced: '5.5.1', text: 'XFORWARD inside a transaction' });
+    const attributes = {};
+    for (const pair of arg.split(/\s+/).filter(Boolean)) {
+      const idx = pair.indexOf('=');
+      const name = idx > 0 ? pair.slice(0, idx).toUpperCase() : '';
+      if (!XFORWARD_ATTRIBUTES.includes(name)) {
+        return this.write({ code: 501, enhanced: '5.5.4', text: `bad XFORWARD attribute ${pair}` });
+      }
+      const value = decodeXtext(pair.slice(idx + 1));
+      attributes[name.toLowerCase()] = /^\[(UNAVAILABLE|TEMPUNAVAIL)\]$/i.test(value) ? null : value;
+    }
+    if (Object.keys(attributes).length === 0) return this.write({ code: 501, enhanced: '5.5.4', text: 'syntax: XFORWARD attribute=value' });
+    Object.assign(this.xforward, attributes);
+    return this.write({ code: 250, enhanced: '2.0.0', text: 'ok' });
+  }
+
+  mail(arg) {
+    if (!this.clientName) return this.write({ code: 503, enhanced: '5.5.1', text: 'send LHLO first' });
+    if (this.mailFrom !== null) return this.write({ code: 503, enhanced: '5.5.1', text: 'nested MAIL command' });
+    const path = parsePath(arg, 'FROM');
+    if (!path) return this.write({ code: 501, enhanced: '5.5.4', text: 'syntax: MAIL FROM:<address>' });
+    const unknown = Object.keys(path.params).find((key) => !['SIZE', 'BODY'].includes(key));
+    if (unknown) return this.write({ code: 555, enhanced: '5.5.4', text: `unsupported parameter ${unknown}` });
+    const size = path.params.SIZE === undefined ? 0 : Number(path.params.SIZE);
+    if (!Number.isInteger(size) || size < 0) return this.write({ code: 501, enhanced: '5.5.4', text: 'bad SIZE value' });
+    if (this.options.maxMessageBytes && size > this.options.maxMessageBytes) {
+      return this.write({ code: 552, enhanced: '5.3.4', text: 'message too large' });
+    }
+    this.mailFrom = path.address;
+    this.mailParams = { size };
+    return this.write({ code: 250, enhanced: '2.1.0', text: 'sender ok' });
+  }
+
+  async rcpt(arg) {
+    if (this.mailFrom === null) return this.write({ code: 503, enhanced: '5.5.1', text: 'need MAIL command' });
+    const path = parsePath(arg, 'TO');
+    if (!path) return this.write({ code: 501, enhanced: '5.5.4', text: 'syntax: RCPT TO:<address>' });
+    if (!path.address) return this.write({ code: 501, enhanced: '5.1.3', text: 'empty recipient address' });
+    if (this.recipients.length >= this.options.maxRecipients) {
+      return this.write({ code: 452, enhanced: '4.5.3', text: 'too many recipients' });
+    }
+    let reply;
+    try {
+      reply = await this.options.onRecipient(path.address, this);
+    } catch (error) {
+      this.options.onError(error);
+      reply = { code: 451, enhanced: '4.3.0', text: 'temporary lookup failure' };
+    }
+    if (reply.code < 300) this.recipients.push({ address: path.address, data: reply.data });
+    return this.write(reply);
+  }
+
+  startData(arg) {
+    if (this.mailFrom === null) return this.write({ code: 503, enhanced: '5.5.1', text: 'need MAIL command' });
+    if (this.recipients.length === 0) return this.write({ code: 503, enhanced: '5.5.1', text: 'no valid recipients' });
+    if (arg) return this.write({ code: 501, enhanced: '5.5.4', text: 'syntax: DATA' });
+
+    const stream = new PassThrough();
+    const recipients = this.recipients;
+    const handled = Promise.resolve()
+      .then(() => this.options.onData(stream, this))
+      .catch((error) => {
+        this.options.onError(error);
+        return null;
+      });
+    // Whatever the handler leaves unread is discarded
+    handled.then(() => stream.resume());
+    this.data = { decoder: new DotDecoder(), stream, handled, recipients };
+    return this.write({ code: 354, text: 'end data with <CR><LF>.<CR><LF>' });
+  }
+
+  async receiveData(chunk) {
+    const { decoder, stream, handled, recipients } = this.data;
+    const { data, rest } = decoder.push(chunk);
+    if (data.length > 0 && !stream.destroyed && !stream.write(data)) {
+      await new Promise((resolve) => {
+        stream.once('drain', resolve);
+        stream.once('close', resolve);
+      });
+    }
+    if (rest === null) return;
+
+    this.input = rest.length ? Buffer.concat([rest, this.input]) : this.input;
+    stream.end();
+    const replies = await handled;
+    this.data = null;
+    this.reset();
+    for (let i = 0; i < recipients.length; i++) {
+      this.write((replies && replies[i]) || { code: 451, enhanced: '4.3.0', text: 'local error in processing' });
+    }
+  }
+}
+
+/**
+ * net.Server speaking LMTP. Options: `hostname`, `onRecipient`, `onData`,
+ * `onError`, `maxMessageBytes` (advertised as SIZE, 0 for none),
+ * `maxRecipients`, `idleTimeoutMs`.
+ */
+export function createLmtpServer(options) {
+  const settings = {
+    maxMessageBytes: 0,
+    maxRecipients: 100,
+    idleTimeoutMs: 5 * 60 * 1000,
+    onError: () => {},
+    ...options,
+  };
+  return net.createServer((socket) => new LmtpSession(socket, settings));
+}
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { text } from 'stream/consumers';
+import { DotDecoder, createLmtpServer } from './index.mjs';
+
+// Feeds the chunks in turn; the result of the chunk that ended the message
+// carries `rest`
+function decode(...chunks) {
+  const decoder = new DotDecoder();
+  const data = [];
+  for (const chunk of chunks) {
+    const out = decoder.push(Buffer.from(chunk));
+    data.push(out.data);
+    if (out.rest !== null) return { data: Buffer.concat(data).toString(), rest: out.rest.toString() };
+  }
+  return { data: Buffer.concat(data).toString(), rest: null };
+}
+
+test('DotDecoder undoes dot-stuffing and stops at the terminator', () => {
+  assert.deepEqual(decode('a\r\n..b\r\n.c\r\n...\r\n.\r\nQUIT\r\n'), { data: 'a\r\n.b\r\nc\r\n..\r\n', rest: 'QUIT\r\n' });
+  assert.deepEqual(decode('.\r\n'), { data: '', rest: '' });
+  // Bare LF line ends too
+  assert.deepEqual(decode('a\n.\nNOOP\n'), { data: 'a\n', rest: 'NOOP\n' });
+});
+
+test('DotDecoder finds a terminator split after "." or ".\\r"', () => {
+  assert.deepEqual(decode('a\r\n.', '\r\nQUIT\r\n'), { data: 'a\r\n', rest: 'QUIT\r\n' });
+  assert.deepEqual(decode('a\r\n.\r', '\nQUIT\r\n'), { data: 'a\r\n', rest: 'QUIT\r\n' });
+  assert.deepEqual(decode('a\r\n', '.', '\r', '\n'), { data: 'a\r\n', rest: '' });
+});
+
+test('DotDecoder unstuffs a line whose dots arrive in separate chunks', () => {
+  assert.deepEqual(decode('a\r\n.', '.b\r\n.\r\n'), { data: 'a\r\n.b\r\n', rest: '' });
+  assert.deepEqual(decode('a\r\n.', 'b\r\n.\r\n'), { data: 'a\r\nb\r\n', rest: '' });
+  assert.deepEqual(decode('a\r\n.\r', 'b\r\n.\r\n'), { data: 'a\r\n\rb\r\n', rest: '' });
+});
+
+test('DotDecoder leaves dots alone away from the start of a line', () => {
+  // A chunk boundary inside a line is not a line start
+  assert.deepEqual(decode('abc', '.\r\n', '.\r\n'), { data: 'abc.\r\n', rest: '' });
+  assert.deepEqual(decode('a.\r\nb .\r\n.\r\n'), { data: 'a.\r\nb .\r\n', rest: '' });
+  assert.deepEqual(decode('a\r\n'), { data: 'a\r\n', rest: null });
+});
+
+async function startServer(options) {
+  const server = createLmtpServer({
+    hostname: 'lmtp.test',
+    onRecipient: async (address) => (address.startsWith('unknown')
+      ? { code: 550, enhanced: '5.1.1', text: 'no such user' }
+      : { code: 250, enhanced: '2.1.5', text: 'ok', data: address.toUpperCase() }),
+    onData: async (stream, session) => {
+      const message = await text(stream);
+      return session.recipients.map(({ data }) => ({ code: 250, enhanced: '2.0.0', text: `${data} ${message.length}` }));
+    },
+    ...options,
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+// Sends `input` in one write, as a pipelining client would, and collects
+// replies until `count` of them are complete; multi-line replies count once
+function converse(server, input, count) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    let output = '';
+    socket.setEncoding('utf8');
+    socket.on('error', reject);
+    socket.on('data', (chunk) => {
+      output += chunk;
+      const replies = output.split('\r\n').filter((line) => /^\d{3} /.test(line));
+      if (replies.length >= count) {
+        socket.destroy();
+        resolve(replies);
+      }
+    });
+    socket.write(input);
+  });
+}
+
+const codes = (replies) => replies.map((line) => line.slice(0, 3));
+
+test('DATA gets one reply per accepted recipient, then pipelined commands go on', async (t) => {
+  let received;
+  const server = await startServer({
+    onData: async (stream, session) => {
+      received = await text(stream);
+      return session.recipients.map(({ data }, i) => (i === 0
+        ? { code: 250, enhanced: '2.0.0', text: `${data} stored` }
+        : { code: 452, enhanced: '4.2.2', text: `${data} over quota` }));
+    },
+  });
+  t.after(() => server.close());
+
+  const replies = await converse(server, [
+    'LHLO mx.example.com',
+    'MAIL FROM:<sender@example.org> SIZE=40',
+    'RCPT TO:<alice@example.com>',
+    'RCPT TO:<unknown@example.com>',
+    'RCPT TO:<bob@example.com>',
+    'DATA',
+    'Subject: hi',
+    '',
+    '..leading dot',
+    '.',
+    'MAIL FROM:<>',
+    'QUIT',
+    '',
+  ].join('\r\n'), 11);
+
+  assert.deepEqual(codes(replies), ['220', '250', '250', '250', '550', '250', '354', '250', '452', '250', '221']);
+  assert.equal(replies[7], '250 2.0.0 ALICE@EXAMPLE.COM stored');
+  assert.equal(replies[8], '452 4.2.2 BOB@EXAMPLE.COM over quota');
+  assert.equal(received, 'Subject: hi\r\n\r\n.leading dot\r\n');
+});
+
+test('commands out of sequence get 503, bad syntax 501', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const replies = await converse(server, [
+    'MAIL FROM:<a@example.org>',
+    'LHLO',
+    'LHLO mx.example.com',
+    'RCPT TO:<alice@example.com>',
+    'DATA',
+    'MAIL FROM:a@example.org',
+    'MAIL FROM:<a@example.org>',
+    'MAIL FROM:<b@example.org>',
+    'XFORWARD ADDR=192.0.2.1',
+    'RCPT TO:<>',
+    'RCPT TO:<unknown@example.com>',
+    'DATA',
+    'RCPT TO:<alice@example.com>',
+    'DATA now',
+    'RSET',
+    'XFORWARD COLOR=blue',
+    'HELO mx.example.com',
+    '',
+  ].join('\r\n'), 18);
+
+  assert.deepEqual(codes(replies), [
+    '220',
+    '503', '501', '250', // MAIL before LHLO; LHLO without a name
+    '503', '503', // RCPT and DATA before MAIL
+    '501', '250', '503', '503', // MAIL syntax; nested MAIL; XFORWARD in a transaction
+    '501', '550', '503', // empty RCPT; no recipient accepted for DATA
+    '250', '501', '250', // DATA takes no argument; RSET
+    '501', '500', // unknown XFORWARD attribute; HELO on LMTP
+  ]);
+  assert.equal(replies[4], '503 5.5.1 need MAIL command');
+  assert.equal(replies[12], '503 5.5.1 no valid recipients');
+});
+
+test('a failing onData is answered 451 for every recipient', async (t) => {
+  const errors = [];
+  const server = await startServer({
+    onData: async (stream) => {
+      await text(stream);
+      throw new Error('store down');
+    },
+    onError: (error) => errors.push(error.message),
+  });
+  t.after(() => server.close());
+
+  const replies = await converse(server, [
+    'LHLO mx', 'MAIL FROM:<>', 'RCPT TO:<alice@example.com>', 'RCPT TO:<bob@example.com>', 'DATA', 'x', '.', '',
+  ].join('\r\n'), 8);
+  assert.deepEqual(codes(replies).slice(6), ['451', '451']);
+  assert.deepEqual(errors, ['store down']);
+});
+
+test('XFORWARD attributes are decoded into the session', async (t) => {
+  let xforward;
+  const server = await startServer({
+    onRecipient: async (address, session) => {
+      xforward = { ...session.xforward };
+      return { code: 250, enhanced: '2.1.5', text: 'ok' };
+    },
+  });
+  t.after(() => server.close());
+
+  await converse(server, [
+    'LHLO mx', 'XFORWARD NAME=client.example.org ADDR=192.0.2.1', 'XFORWARD HELO=[UNAVAILABLE] PROTO=ESMTP+2Bx',
+    'MAIL FROM:<>', 'RCPT TO:<alice@example.com>', '',
+  ].join('\r\n'), 6);
+  assert.deepEqual(xforward, { name: 'client.example.org', addr: '192.0.2.1', helo: null, proto: 'ESMTP+x' });
+});
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+
+// DKIM verification (RFC 6376, RFC 8463 for ed25519). The body hash is
+// computed as the message streams by (`BodyHasher`); signatures are checked
+// once the body is complete. Lines may end in LF only, as Postfix pipes
+// them: they are hashed as CRLF.
+
+// Signatures checked per message; the rest are ignored
+const MAX_SIGNATURES = 5;
+const MIN_RSA_BITS = 1024;
+const ALGORITHMS = {
+  'rsa-sha256': { hash: 'sha256', key: 'rsa' },
+  'rsa-sha1': { hash: 'sha1', key: 'rsa' },
+  'ed25519-sha256': { hash: 'sha256', key: 'ed25519' },
+};
+// SubjectPublicKeyInfo prefix for a raw 32-byte Ed25519 key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Header fields of a raw header block as `{ name, raw }`, raw being the
+ * whole field with its folding, lines joined with CRLF and no final CRLF
+ */
+export function rawHeaderFields(block) {
+  const fields = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1].raw += `\r\n${line}`;
+      continue;
+    }
+    const idx = line.indexOf(':');
+    if (idx > 0) fields.push({ name: line.slice(0, idx).trim().toLowerCase(), raw: line });
+  }
+  return fields;
+}
+
+/**
+ * Tag list (`a=1; b=2`) as an object with lowercased tag names; null if
+ * malformed or a tag is repeated
+ */
+export function parseTagList(text) {
+  const tags = {};
+  for (const part of text.split(';')) {
+    if (!part.trim()) continue;
+    const idx = part.indexOf('=');
+    if (idx < 1) return null;
+    const name = part.slice(0, idx).trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_]*$/.test(name) || name in tags) return null;
+    tags[name] = part.slice(idx + 1).trim();
+  }
+  return tags;
+}
+
+function canonicalHeader(raw, canon) {
+  if (canon === 'simple') return raw;
+  const idx = raw.indexOf(':');
+  const value = raw.slice(idx + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${raw.slice(0, idx).trim().toLowerCase()}:${value}`;
+}
+
+/**
+ * Body hash under one canonicalization, algorithm and length limit, fed
+ * the body as it arrives. Empty lines are held back, so trailing ones can
+ * be dropped at the end.
+ */
+export class BodyHasher {
+  constructor({ canon = 'simple', hash = 'sha256', limit = null } = {}) {
+    this.relaxed = canon === 'relaxed';
+    this.hash = crypto.createHash(hash);
+    this.limit = limit;
+    this.hashed = 0;
+    this.partial = '';
+    this.emptyLines = 0;
+    this.started = false;
+  }
+
+  emit(text) {
+    let data = Buffer.from(text, 'latin1');
+    if (this.limit !== null) {
+      if (this.hashed >= this.limit) return;
+      data = data.subarray(0, this.limit - this.hashed);
+    }
+    this.hashed += data.length;
+    this.hash.update(data);
+  }
+
+  line(text) {
+    const line = this.relaxed ? text.replace(/[ \t]+/g, ' ').replace(/ $/, '') : text;
+    if (line === '') {
+      this.emptyLines++;
+      return;
+    }
+    this.emit('\r\n'.repeat(this.emptyLines) + line + '\r\n');
+    this.emptyLines = 0;
+    this.started = true;
+  }
+
+  update(chunk) {
+    const lines = (this.partial + chunk.toString('latin1')).split('\n');
+    this.partial = lines.pop();
+    for (const line of lines) this.line(line.replace(/\r$/, ''));
+  }
+
+  digest() {
+    if (this.partial) this.line(this.partial.replace(/\r$/, ''));
+    this.partial = '';
+    // An empty body is one CRLF in simple and nothing in relaxed
+    if (!this.started && !this.relaxed) this.emit('\r\n');
+    return this.hash.digest('base64');
+  }
+}
+
+/**
+ * A DKIM-Signature field checked for what can be checked before the
+ * message is read: `{ tags, headerCanon, bodyCanon, algorithm, limit }` or
+ * `{ error }`
+ */
+export function parseSignature(field, now = Date.now()) {
+  const tags = parseTagList(field.raw.slice(field.raw.indexOf(':') + 1).replace(/\r\n/g, ''));
+  if (!tags) return { error: 'malformed signature' };
+  for (const tag of ['v', 'a', 'b', 'bh', 'd', 'h', 's']) {
+    if (!tags[tag]) return { tags, error: `missing ${tag}= tag` };
+  }
+  if (tags.v !== '1') return { tags, error: `unsupported version ${tags.v}` };
+  const algorithm = ALGORITHMS[tags.a.toLowerCase()];
+  if (!algorithm) return { tags, error: `unsupported algorithm ${tags.a}` };
+  const [headerCanon, bodyCanon = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+  if (![headerCanon, bodyCanon].every((c) => c === 'simple' || c === 'relaxed')) {
+    return { tags, error: `unsupported canonicalization ${tags.c}` };
+  }
+  const signed = tags.h.split(':').map((name) => name.trim().toLowerCase());
+  if (!signed.includes('from')) return { tags, error: 'From is not signed' };
+  const domain = tags.d.toLowerCase();
+  if (tags.i) {
+    const identityDomain = tags.i.slice(tags.i.lastIndexOf('@') + 1).toLowerCase();
+    if (identityDomain !== domain && !identityDomain.endsWith(`.${domain}`)) {
+      return { tags, error: 'i= is not within d=' };
+    }
+  }
+  if (tags.x && Number(tags.x) * 1000 < now) return { tags, error: 'signature expired', result: 'fail' };
+  const limit = tags.l === undefined ? null : Number(tags.l);
+  if (limit !== null && !Number.isSafeInteger(limit)) return { tags, error: 'bad l= tag' };
+  return {
+    tags: { ...tags, b: tags.b.replace(/\s+/g, ''), bh: tags.bh.replace(/\s+/g, '') },
+    domain,
+    signed,
+    headerCanon,
+    bodyCanon,
+    algorithm,
+    limit,
+  };
+}
+
+// Data the signature covers: the signed fields, each instance taken from
+// the bottom up, then the signature field itself with an empty b=
+function signedHeaderData(fields, signatureField, signature) {
+  const remaining = new Map();
+  for (const field of fields) {
+    if (!remaining.has(field.name)) remaining.set(field.name, []);
+    remaining.get(field.name).push(field);
+  }
+  const lines = [];
+  for (const name of signature.signed) {
+    const field = remaining.get(name)?.pop();
+    if (field) lines.push(`${canonicalHeader(field.raw, signature.headerCanon)}\r\n`);
+  }
+  const idx = signatureField.raw.indexOf(':');
+  const unsigned = signatureField.raw.slice(0, idx + 1)
+    + signatureField.raw.slice(idx + 1).replace(/(^|;)([ \t\r\n]*b[ \t\r\n]*=)[^;]*/, '$1$2');
+  lines.push(canonicalHeader(unsigned, signature.headerCanon));
+  return Buffer.from(lines.join(''), 'latin1');
+}
+
+async function fetchKey(resolver, signature) {
+  const name = `${signature.tags.s}._domainkey.${signature.domain}`;
+  let records;
+  try {
+    records = await resolver.txt(name);
+  } catch (error) {
+    return { result: 'temperror', reason: `key lookup failed: ${error.message}` };
+  }
+  if (records.length === 0) return { result: 'permerror', reason: 'no key' };
+  const tags = parseTagList(records[0]);
+  if (!tags || (tags.v && tags.v !== 'DKIM1') || tags.p === undefined) return { result: 'permerror', reason: 'malformed key' };
+  if (!tags.p) return { result: 'permerror', reason: 'key revoked' };
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  if (keyType !== signature.algorithm.key) return { result: 'permerror', reason: 'key type mismatch' };
+  if (tags.h && !tags.h.split(':').map((h) => h.trim().toLowerCase()).includes(signature.algorithm.hash)) {
+    return { result: 'permerror', reason: 'hash algorithm not allowed by key' };
+  }
+  if (tags.t?.split(':').map((t) => t.trim()).includes('s') && signature.tags.i) {
+    const identityDomain = signature.tags.i.slice(signature.tags.i.lastIndexOf('@') + 1).toLowerCase();
+    if (identityDomain !== signature.domain) return { result: 'permerror', reason: 'subdomain not allowed by key' };
+  }
+  const der = Buffer.from(tags.p.replace(/\s+/g, ''), 'base64');
+  try {
+    if (keyType === 'ed25519') {
+      return { key: crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, der]), format: 'der', type: 'spki' }) };
+    }
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    } catch (_) {
+      key = crypto.createPublicKey({ key: der, format: 'der', type: 'pkcs1' });
+    }
+    if (key.asymmetricKeyDetails?.modulusLength < MIN_RSA_BITS) return { result: 'permerror', reason: 'key too short' };
+    return { key };
+  } catch (_) {
+    return { result: 'permerror', reason: 'unusable key' };
+  }
+}
+
+/**
+ * Collects the DKIM-Signature fields of a message and hashes its body for
+ * each. `start(headerBlock)`, `update(bodyChunk)` as the body arrives, then
+ * `verify(resolver)` for one `{ result, domain, selector, b, reason }` per
+ * signature (empty if the message is unsigned).
+ */
+export class DkimVerifier {
+  constructor() {
+    this.fields = [];
+    this.signatures = [];
+    this.hashers = new Map();
+  }
+
+  start(headerBlock) {
+    this.fields = rawHeaderFields(headerBlock);
+    this.signatures = this.fields
+      .filter((field) => field.name === 'dkim-signature')
+      .slice(0, MAX_SIGNATURES)
+      .map((field) => ({ field, ...parseSignature(field) }));
+    for (const signature of this.signatures) {
+      if (signature.error) continue;
+      const id = `${signature.bodyCanon}/${signature.algorithm.hash}/${signature.limit}`;
+      if (!this.hashers.has(id)) {
+        this.hashers.set(id, new BodyHasher({ canon: signature.bodyCanon, hash: signature.algorithm.hash, limit: signature.limit }));
+      }
+      signature.hasher = this.hashers.get(id);
+    }
+  }
+
+  update(chunk) {
+    for (const hasher of this.hashers.values()) hasher.update(chunk);
+  }
+
+  async verify(resolver) {
+    const digests = new Map([...this.hashers].map(([id, hasher]) => [hasher, hasher.digest()]));
+    return Promise.all(this.signatures.map(async (signature) => {
+      const base = {
+        domain: signature.domain ?? signature.tags?.d?.toLowerCase() ?? null,
+        selector: signature.tags?.s ?? null,
+        b: signature.tags?.b?.replace(/\s+/g, '').slice(0, 8) || null,
+      };
+      if (signature.error) return { ...base, result: signature.result || 'permerror', reason: signature.error };
+      if (digests.get(signature.hasher) !== signature.tags.bh) return { ...base, result: 'fail', reason: 'body hash mismatch' };
+      const { key, result, reason } = await fetchKey(resolver, signature);
+      if (!key) return { ...base, result, reason };
+      const data = signedHeaderData(this.fields, signature.field, signature);
+      const sig = Buffer.from(signature.tags.b, 'base64');
+      const valid = signature.algorithm.key === 'ed25519'
+        ? crypto.verify(null, crypto.createHash('sha256').update(data).digest(), key, sig)
+        : crypto.verify(signature.algorithm.hash, data, key, sig);
+      return valid ? { ...base, result: 'pass', reason: null } : { ...base, result: 'fail', reason: 'signature did not verify' };
+    }));
+  }
+}
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import crypto from 'crypto';
+import { DkimVerifier, BodyHasher, parseTagList, parseSignature, rawHeaderFields } from './dkim.mjs';
+import { stubResolver, FIXTURE_KEYS } from './fixtures/resolver.mjs';
+
+const fixture = (name) => fs.readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'latin1');
+
+// Verifies `message`, feeding the body in chunks of `chunkSize`
+async function verify(message, zone = FIXTURE_KEYS, chunkSize = 7) {
+  const split = message.indexOf('\r\n\r\n');
+  const verifier = new DkimVerifier();
+  verifier.start(message.slice(0, split));
+  const body = Buffer.from(message.slice(split + 4), 'latin1');
+  for (let i = 0; i < body.length; i += chunkSize) verifier.update(body.subarray(i, i + chunkSize));
+  return verifier.verify(stubResolver(zone));
+}
+
+const results = (signatures) => signatures.map(({ result, reason }) => (reason ? `${result} (${reason})` : result));
+
+test('the RFC 8463 example verifies, ed25519 and RSA', async () => {
+  const signatures = await verify(fixture('rfc8463.eml'));
+  assert.deepEqual(results(signatures), ['pass', 'pass']);
+  assert.deepEqual(signatures.map(({ selector }) => selector), ['brisbane', 'test']);
+  assert.equal(signatures[0].b, '/gCrinpc');
+});
+
+test('ed25519 rejects a changed signed header', async () => {
+  const message = fixture('rfc8463.eml').replace('Subject: Is dinner ready?', 'Subject: Is lunch ready?');
+  assert.deepEqual(results(await verify(message)), ['fail (signature did not verify)', 'fail (signature did not verify)']);
+});
+
+test('all four canonicalizations verify', async () => {
+  for (const c of ['simple-simple', 'simple-relaxed', 'relaxed-simple', 'relaxed-relaxed']) {
+    assert.deepEqual(results(await verify(fixture(`signed-${c}.eml`))), ['pass'], c);
+  }
+});
+
+test('relaxed header canonicalization ignores whitespace changes, simple does not', async () => {
+  const reformat = (message) => message.replace('To:   bob@example.net', 'to: bob@example.net ')
+    .replace('Subject:  Canonicalization\t test\r\n  folded  here', 'Subject: Canonicalization test folded here');
+  assert.deepEqual(results(await verify(reformat(fixture('signed-relaxed-simple.eml')))), ['pass']);
+  assert.deepEqual(results(await verify(reformat(fixture('signed-simple-simple.eml')))), ['fail (signature did not verify)']);
+  // Unsigned fields may change under either
+  const unsigned = fixture('signed-simple-simple.eml').replace('X-Unsigned: may change', 'X-Unsigned: changed');
+  assert.deepEqual(results(await verify(unsigned)), ['pass']);
+});
+
+test('relaxed body canonicalization ignores whitespace runs and trailing blank lines, simple does not', async () => {
+  const reformat = (message) => message.replace('runs\t\tof space  \r\n', 'runs of space\r\n').replace(/\r\n$/, '\r\n\r\n\r\n');
+  assert.deepEqual(results(await verify(reformat(fixture('signed-simple-relaxed.eml')))), ['pass']);
+  assert.deepEqual(results(await verify(reformat(fixture('signed-relaxed-simple.eml')))), ['fail (body hash mismatch)']);
+  // Trailing blank lines alone are fine under simple too
+  const padded = fixture('signed-relaxed-simple.eml').replace(/\r\n$/, '\r\n\r\n\r\n');
+  assert.deepEqual(results(await verify(padded)), ['pass']);
+});
+
+test('l= lets content be added after the signed length, and only there', async () => {
+  const message = fixture('signed-length.eml');
+  assert.deepEqual(results(await verify(`${message}appended by a list\r\n`)), ['pass']);
+  assert.deepEqual(results(await verify(message.replace('last line', 'past line'))), ['fail (body hash mismatch)']);
+  const unlimited = fixture('signed-relaxed-relaxed.eml');
+  assert.deepEqual(results(await verify(`${unlimited}appended by a list\r\n`)), ['fail (body hash mismatch)']);
+});
+
+test('LF line ends are hashed as CRLF', async () => {
+  const message = fixture('signed-simple-simple.eml');
+  const split = message.indexOf('\r\n\r\n');
+  const lf = message.slice(0, split) + message.slice(split).replace(/\r\n/g, '\n');
+  const verifier = new DkimVerifier();
+  verifier.start(lf.slice(0, split));
+  verifier.update(Buffer.from(lf.slice(split + 2), 'latin1'));
+  assert.deepEqual(results(await verifier.verify(stubResolver(FIXTURE_KEYS))), ['pass']);
+});
+
+test('BodyHasher: empty bodies per RFC 6376 section 3.4', () => {
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('base64');
+  const empty = (canon) => new BodyHasher({ canon }).digest();
+  assert.equal(empty('simple'), sha256('\r\n'));
+  assert.equal(empty('relaxed'), sha256(''));
+  const hasher = new BodyHasher({ canon: 'relaxed', limit: 4 });
+  hasher.update(Buffer.from('ab  c \r\n\r\n'));
+  assert.equal(hasher.digest(), sha256('ab c'));
+});
+
+test('key problems are permerrors, lookup failures temperrors', async () => {
+  const message = fixture('signed-simple-simple.eml');
+  const key = (record) => ({ 'txt sel._domainkey.example.com': record });
+  assert.deepEqual(results(await verify(message, key([]))), ['permerror (no key)']);
+  assert.deepEqual(results(await verify(message, key(['v=DKIM1; p=']))), ['permerror (key revoked)']);
+  assert.deepEqual(results(await verify(message, key(['v=DKIM1; k=ed25519; p=11qYAYKxCrfVS/7TyWQHOg7hcvPapiMlrwIaaPcHURo=']))),
+    ['permerror (key type mismatch)']);
+  assert.deepEqual(results(await verify(message, key(new Error('SERVFAIL')))), ['temperror (key lookup failed: SERVFAIL)']);
+});
+
+test('parseSignature refuses signatures that cannot be checked', () => {
+  const field = (value) => rawHeaderFields(`DKIM-Signature: ${value}`)[0];
+  const base = 'v=1; a=rsa-sha256; d=example.com; s=sel; h=from:to; bh=AA==; b=AA==';
+  assert.equal(parseSignature(field(base)).error, undefined);
+  assert.equal(parseSignature(field(base.replace('h=from:to', 'h=to'))).error, 'From is not signed');
+  assert.equal(parseSignature(field(`${base}; i=a@example.org`)).error, 'i= is not within d=');
+  assert.equal(parseSignature(field(`${base}; i=a@mail.example.com`)).error, undefined);
+  assert.deepEqual(parseSignature(field(`${base}; x=1`)).result, 'fail');
+  assert.equal(parseSignature(field(base.replace('rsa-sha256', 'rsa-md5'))).error, 'unsupported algorithm rsa-md5');
+  assert.equal(parseTagList('a=1; a=2'), null);
+});
@@ -0,0 +1,73 @@
+import { parseTagList } from './dkim.mjs';
+
+// DMARC (RFC 7489): the From domain's policy record, falling back to its
+// organizational domain, and identifier alignment of the SPF and DKIM
+// results with it.
+//
+// Without the Public Suffix List, the organizational domain is the last
+// two labels, or three under a two-letter country code whose second level
+// is a common registry suffix (example.co.uk, example.com.au).
+
+const REGISTRY_SECOND_LEVELS = new Set(['ac', 'co', 'com', 'edu', 'gov', 'net', 'org', 'ne', 'or', 'go', 'gob']);
+
+export function organizationalDomain(domain) {
+  const labels = domain.toLowerCase().split('.').filter(Boolean);
+  const keep = labels.length >= 3 && labels[labels.length - 1].length === 2
+    && REGISTRY_SECOND_LEVELS.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+function aligned(domain, fromDomain, mode) {
+  if (!domain) return false;
+  const lower = domain.toLowerCase();
+  if (mode === 's') return lower === fromDomain;
+  return organizationalDomain(lower) === organizationalDomain(fromDomain);
+}
+
+async function fetchRecord(resolver, domain) {
+  const records = (await resolver.txt(`_dmarc.${domain}`)).filter((text) => /^v\s*=\s*DMARC1\s*(;|$)/i.test(text));
+  if (records.length !== 1) return null;
+  const tags = parseTagList(records[0]);
+  const policies = ['none', 'quarantine', 'reject'];
+  if (!tags || !policies.includes(tags.p?.toLowerCase())) return null;
+  return {
+    p: tags.p.toLowerCase(),
+    sp: policies.includes(tags.sp?.toLowerCase()) ? tags.sp.toLowerCase() : null,
+    adkim: tags.adkim?.toLowerCase() === 's' ? 's' : 'r',
+    aspf: tags.aspf?.toLowerCase() === 's' ? 's' : 'r',
+  };
+}
+
+/**
+ * DMARC verdict for a message from `fromDomain` given its SPF result
+ * (`{ result, domain }`) and DKIM results (`[{ result, domain }]`):
+ * `{ result, policy, domain, reason }`. result is pass, fail, none,
+ * temperror or permerror; policy is the one the domain asks for.
+ */
+export async function checkDmarc({ resolver, fromDomain, spf, dkim }) {
+  if (!fromDomain) return { result: 'permerror', policy: null, domain: null, reason: 'no single From domain' };
+  const domain = fromDomain.toLowerCase();
+  const orgDomain = organizationalDomain(domain);
+  let record;
+  let fromOrgDomain = false;
+  try {
+    record = await fetchRecord(resolver, domain);
+    if (!record && orgDomain !== domain) {
+      record = await fetchRecord(resolver, orgDomain);
+      fromOrgDomain = !!record;
+    }
+  } catch (error) {
+    return { result: 'temperror', policy: null, domain, reason: `policy lookup failed: ${error.message}` };
+  }
+  if (!record) return { result: 'none', policy: null, domain, reason: null };
+
+  const policy = fromOrgDomain ? (record.sp || record.p) : record.p;
+  const spfAligned = spf.result === 'pass' && aligned(spf.domain, domain, record.aspf);
+  const dkimAligned = dkim.some((signature) => signature.result === 'pass' && aligned(signature.domain, domain, record.adkim));
+  return {
+    result: spfAligned || dkimAligned ? 'pass' : 'fail',
+    policy,
+    domain,
+    reason: null,
+  };
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDmarc, organizationalDomain } from './dmarc.mjs';
+import { stubResolver } from './fixtures/resolver.mjs';
+
+const dmarc = (zone, fromDomain, { spf = { result: 'none', domain: null }, dkim = [] } = {}) =>
+  checkDmarc({ resolver: stubResolver(zone), fromDomain, spf, dkim });
+
+test('organizationalDomain keeps two labels, three under a registry suffix', () => {
+  assert.equal(organizationalDomain('mail.news.Example.com'), 'example.com');
+  assert.equal(organizationalDomain('shop.example.co.uk'), 'example.co.uk');
+  assert.equal(organizationalDomain('example.com.au'), 'example.com.au');
+  assert.equal(organizationalDomain('www.example.de'), 'example.de');
+});
+
+test('relaxed alignment accepts any domain under the same organizational domain', async () => {
+  const zone = { 'txt _dmarc.news.example.com': ['v=DMARC1; p=reject'] };
+  const spf = { result: 'pass', domain: 'bounces.example.com' };
+  assert.deepEqual(await dmarc(zone, 'news.example.com', { spf }),
+    { result: 'pass', policy: 'reject', domain: 'news.example.com', reason: null });
+  const dkim = [{ result: 'pass', domain: 'example.com' }];
+  assert.equal((await dmarc(zone, 'news.example.com', { dkim })).result, 'pass');
+  // Passing, but for someone else
+  assert.equal((await dmarc(zone, 'news.example.com', { spf: { result: 'pass', domain: 'example.net' } })).result, 'fail');
+  assert.equal((await dmarc(zone, 'news.example.com', { dkim: [{ result: 'fail', domain: 'example.com' }] })).result, 'fail');
+});
+
+test('strict alignment needs the exact domain', async () => {
+  const zone = { 'txt _dmarc.news.example.com': ['v=DMARC1; p=quarantine; aspf=s; adkim=s'] };
+  assert.equal((await dmarc(zone, 'news.example.com', { spf: { result: 'pass', domain: 'bounces.example.com' } })).result, 'fail');
+  assert.equal((await dmarc(zone, 'news.example.com', { dkim: [{ result: 'pass', domain: 'example.com' }] })).result, 'fail');
+  assert.equal((await dmarc(zone, 'news.example.com', { dkim: [{ result: 'pass', domain: 'News.Example.com' }] })).result, 'pass');
+});
+
+test('a subdomain without its own record gets the organizational sp= policy', async () => {
+  const zone = { 'txt _dmarc.example.com': ['v=DMARC1; p=reject; sp=quarantine'] };
+  const sub = await dmarc(zone, 'news.example.com');
+  assert.deepEqual(sub, { result: 'fail', policy: 'quarantine', domain: 'news.example.com', reason: null });
+  // The organizational domain itself uses p=
+  assert.equal((await dmarc(zone, 'example.com')).policy, 'reject');
+  // Without sp=, p= applies to subdomains as well
+  assert.equal((await dmarc({ 'txt _dmarc.example.com': ['v=DMARC1; p=reject'] }, 'news.example.com')).policy, 'reject');
+});
+
+test('a subdomain record of its own wins over the organizational one', async () => {
+  const zone = {
+    'txt _dmarc.news.example.com': ['v=DMARC1; p=none; sp=reject'],
+    'txt _dmarc.example.com': ['v=DMARC1; p=reject; sp=quarantine'],
+  };
+  assert.equal((await dmarc(zone, 'news.example.com')).policy, 'none');
+});
+
+test('no record, unusable records and lookup failures', async () => {
+  assert.equal((await dmarc({}, 'example.com')).result, 'none');
+  assert.equal((await dmarc({ 'txt _dmarc.example.com': ['v=DMARC1; p=bogus'] }, 'example.com')).result, 'none');
+  assert.equal((await dmarc({ 'txt _dmarc.example.com': ['v=DMARC1; p=none', 'v=DMARC1; p=reject'] }, 'example.com')).result, 'none');
+  assert.equal((await dmarc({ 'txt _dmarc.example.com': new Error('SERVFAIL') }, 'example.com')).result, 'temperror');
+  assert.equal((await dmarc({}, null)).result, 'permerror');
+});
@@ -0,0 +1,26 @@
+// Resolver stand-in for the tests: `zone` maps "<type> <name>" to answers
+// (an Error is thrown instead). Every query is logged in `queries`.
+export function stubResolver(zone) {
+  const queries = [];
+  const answer = (type) => async (name) => {
+    queries.push(`${type} ${name}`);
+    const value = zone[`${type} ${name.toLowerCase()}`];
+    if (value instanceof Error) throw value;
+    return value ?? [];
+  };
+  return { queries, txt: answer('txt'), a: answer('a'), aaaa: answer('aaaa'), mx: answer('mx'), reverse: answer('ptr') };
+}
+
+// Keys of the signed fixtures: rfc8463.eml is RFC 8463 appendix A, the
+// signed-*.eml files were signed with an independent rsa-sha256 signer
+export const FIXTURE_KEYS = {
+  'txt brisbane._domainkey.football.example.com': [
+    'v=DKIM1; k=ed25519; p=11qYAYKxCrfVS/7TyWQHOg7hcvPapiMlrwIaaPcHURo=',
+  ],
+  'txt test._domainkey.football.example.com': [
+    'v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQDkHlOQoBTzWRiGs5V6NpP3idY6Wk08a5qhdR6wy5bdOKb2jLQiY/J16JYi0Qvx/byYzCNb3W91y3FutACDfzwQ/BC/e/8uBsCR+yz1Lxj+PL6lHvqMKrM3rG4hstT5QjvHO9PzoxZyVYLzBfO2EeC3Ip3G+2kryOTIKT+l/K4w3QIDAQAB',
+  ],
+  'txt sel._domainkey.example.com': [
+    'v=DKIM1; k=rsa; p=MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA34KnS5vGIYYBsMr0BBXZQXN3a3sSffg/aUYpZ304ntN+8m4xAsUWO19HidJ0C+DnSrpA/Xjnnm1+Lo5C2jIVCB3tiZiUqba4F65KMBAJdTJpfkFLxvrqa4EAod7aqv1EclQQwGk3jPVYQIC1jIEJxQ0xGQYSL7mIQyX6Rwti6ul/00XXccV+DqTIuXtKawL8ek0rAIusi5JnXeXTHOYEU/GoLLHGUD5+3TZ2OJu+2okZpR8Y5WFnuiR2dniD+L1wKzGb15zBwJUyp2zsvlNi9nmdPNfusIIZu4Tqy6FKHKCN6NJ1kePM4BBAh9Ik71baHLm1xK/m9m4f7vJLBAyfTQIDAQAB',
+  ],
+};
@@ -0,0 +1,205 @@
+import dns from 'dns';
+import { Transform } from 'stream';
+import { parseHeaderBlock, headerValues, parseAddressList, addressDomain } from '../headers/index.mjs';
+import { checkSpf } from './spf.mjs';
+import { DkimVerifier } from './dkim.mjs';
+import { checkDmarc } from './dmarc.mjs';
+
+// Sender authentication of inbound mail: SPF, DKIM and DMARC evaluated as
+// the plaintext streams by, reported as an Authentication-Results header
+// (RFC 8601) and as a short summary for the message index.
+
+export { checkSpf } from './spf.mjs';
+export { DkimVerifier, BodyHasher } from './dkim.mjs';
+export { checkDmarc, organizationalDomain } from './dmarc.mjs';
+
+// Header block kept in memory to find the signatures and the From domain
+const MAX_HEADER_BYTES = 64 * 1024;
+
+/**
+ * DNS lookups used by the checks, answering [] for names without records.
+ * `servers` ("ip" or "ip:port", e.g. a local stand-in) replace the system
+ * resolvers when given.
+ */
+export function createResolver({ servers = [], timeoutMs = 5000 } = {}) {
+  const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+  if (servers.length > 0) resolver.setServers(servers);
+  const orEmpty = (error) => {
+    if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') return [];
+    throw error;
+  };
+  return {
+    txt: (name) => resolver.resolveTxt(name).then((records) => records.map((chunks) => chunks.join('')), orEmpty),
+    a: (name) => resolver.resolve4(name).catch(orEmpty),
+    aaaa: (name) => resolver.resolve6(name).catch(orEmpty),
+    mx: (name) => resolver.resolveMx(name).catch(orEmpty),
+    reverse: (ip) => resolver.reverse(ip),
+  };
+}
+
+// Header block and body of the bytes seen so far, or null while the block
+// may still be incomplete
+function splitHead(head, final) {
+  const text = head.toString('latin1');
+  const end = text.search(/\r?\n\r?\n/);
+  if (end !== -1) return { block: text.slice(0, end), rest: text.slice(end) };
+  if (final || head.length >= MAX_HEADER_BYTES) return { block: text, rest: '' };
+  return null;
+}
+
+/**
+ * Pass-through stream over the plaintext that collects what the checks
+ * need: the header block and the DKIM body hashes. Once it has ended,
+ * `verify({ resolver, ip, helo, mailFrom })` resolves with
+ * `{ spf, dkim, dmarc }`.
+ */
+export class MessageAuthenticator extends Transform {
+  constructor() {
+    super();
+    this.head = Buffer.alloc(0);
+    this.headerBlock = null;
+    this.dkim = new DkimVerifier();
+  }
+
+  startBody(split) {
+    this.headerBlock = split.block;
+    this.head = null;
+    this.dkim.start(split.block);
+    // The body starts after the empty line
+    const body = split.rest.replace(/^\r?\n\r?\n/, '');
+    if (body) this.dkim.update(Buffer.from(body, 'latin1'));
+  }
+
+  _transform(chunk, _enc, callback) {
+    if (this.headerBlock !== null) {
+      this.dkim.update(chunk);
+    } else {
+      this.head = Buffer.concat([this.head, chunk]);
+      const split = splitHead(this.head, false);
+      if (split) this.startBody(split);
+    }
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    if (this.headerBlock === null) this.startBody(splitHead(this.head, true));
+    callback();
+  }
+
+  // The one domain of the From field; null if there are several fields,
+  // addresses in several domains, or none
+  fromDomain() {
+    const values = headerValues(parseHeaderBlock(this.headerBlock || ''), 'from');
+    if (values.length !== 1) return null;
+    const domains = new Set(parseAddressList(values[0]).map(({ address }) => addressDomain(address)).filter(Boolean));
+    return domains.size === 1 ? [...domains][0] : null;
+  }
+
+  async verify({ resolver, ip, helo, mailFrom }) {
+    const [spf, dkim] = await Promise.all([
+      checkSpf({ resolver, ip, helo, mailFrom }),
+      this.dkim.verify(resolver),
+    ]);
+    const dmarc = await checkDmarc({ resolver, fromDomain: this.fromDomain(), spf, dkim });
+    return { spf, dkim, dmarc };
+  }
+}
+
+// RFC 8601 property values: a token or address as is, else quoted
+function propertyValue(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9!#$%&'*+\-./=?^_`{|}~@]+$/.test(text) ? text : `"${text.replace(/[\\"]/g, '\\$&').replace(/[\r\n]/g, '')}"`;
+}
+
+function comment(text) {
+  return text ? ` (${String(text).replace(/[()\\\r\n]/g, '')})` : '';
+}
+
+/**
+ * Authentication-Results field for `verify()` results, folded one method
+ * per line, CRLF line ends and no final CRLF
+ */
+export function formatAuthenticationResults(authservId, { spf, dkim, dmarc }) {
+  const results = [];
+  let spfIdentity = '';
+  if (spf.identity === 'helo' && spf.domain) spfIdentity = ` smtp.helo=${propertyValue(spf.domain)}`;
+  else if (spf.sender) spfIdentity = ` smtp.mailfrom=${propertyValue(spf.sender)}`;
+  results.push(`spf=${spf.result}${comment(spf.reason)}${spfIdentity}`);
+  if (dkim.length === 0) results.push('dkim=none');
+  for (const signature of dkim) {
+    const properties = [
+      signature.domain && `header.d=${propertyValue(signature.domain)}`,
+      signature.selector && `header.s=${propertyValue(signature.selector)}`,
+      signature.b && `header.b=${propertyValue(signature.b)}`,
+    ].filter(Boolean);
+    results.push(`dkim=${signature.result}${comment(signature.reason)}${properties.map((p) => ` ${p}`).join('')}`);
+  }
+  const dmarcComment = dmarc.policy ? `p=${dmarc.policy}` : dmarc.reason;
+  results.push(`dmarc=${dmarc.result}${comment(dmarcComment)}${dmarc.domain ? ` header.from=${propertyValue(dmarc.domain)}` : ''}`);
+  return `Authentication-Results: ${authservId};\r\n\t${results.join(';\r\n\t')}`;
+}
+
+/**
+ * The verdict as kept in messages.headers_meta.auth: one result per
+ * method, the DMARC policy and the domains with a passing DKIM signature
+ */
+export function authenticationSummary({ spf, dkim, dmarc }) {
+  const passing = dkim.filter(({ result }) => result === 'pass');
+  return {
+    spf: spf.result,
+    dkim: passing.length > 0 ? 'pass' : (dkim[0]?.result ?? 'none'),
+    dkim_domains: [...new Set(passing.map(({ domain }) => domain))],
+    dmarc: dmarc.result,
+    dmarc_policy: dmarc.policy,
+  };
+}
+
+function authservIdOf(value) {
+  return value.split(';')[0].replace(/\([^)]*\)/g, ' ').trim().split(/\s+/)[0].toLowerCase();
+}
+
+/**
+ * Transform that puts `field` at the top of the message and drops any
+ * Authentication-Results field already claiming `authservId`, which could
+ * only be forged (RFC 8601 section 5)
+ */
+export class AuthenticationResultsStream extends Transform {
+  constructor(field, authservId) {
+    super();
+    this.field = field;
+    this.authservId = authservId.toLowerCase();
+    this.head = Buffer.alloc(0);
+    this.done = false;
+  }
+
+  rewrite(split) {
+    this.done = true;
+    this.head = null;
+    const eol = /\r\n/.test(split.block) || !split.block ? '\r\n' : '\n';
+    const kept = [];
+    let dropping = false;
+    for (const line of split.block.split(/\r?\n/)) {
+      if (!/^[ \t]/.test(line)) {
+        const idx = line.indexOf(':');
+        dropping = idx > 0 && line.slice(0, idx).trim().toLowerCase() === 'authentication-results'
+          && authservIdOf(line.slice(idx + 1)) === this.authservId;
+      }
+      if (!dropping) kept.push(line);
+    }
+    const block = kept.join(eol);
+    this.push(Buffer.from(`${this.field.replace(/\r\n/g, eol)}${eol}${block}${split.rest}`, 'latin1'));
+  }
+
+  _transform(chunk, _enc, callback) {
+    if (this.done) return callback(null, chunk);
+    this.head = Buffer.concat([this.head, chunk]);
+    const split = splitHead(this.head, false);
+    if (split) this.rewrite(split);
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.done) this.rewrite(splitHead(this.head, true));
+    callback();
+  }
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { buffer } from 'stream/consumers';
+import {
+  MessageAuthenticator, AuthenticationResultsStream, formatAuthenticationResults, authenticationSummary,
+} from './index.mjs';
+import { stubResolver, FIXTURE_KEYS } from './fixtures/resolver.mjs';
+
+const FIELD = 'Authentication-Results: mx.example.com;\r\n\tspf=pass smtp.mailfrom=a@example.org';
+
+// Streams `message` through the rewriter in small chunks
+async function rewrite(message, chunkSize = 5) {
+  const chunks = [];
+  for (let i = 0; i < message.length; i += chunkSize) chunks.push(Buffer.from(message.slice(i, i + chunkSize)));
+  const out = await buffer(Readable.from(chunks).pipe(new AuthenticationResultsStream(FIELD, 'MX.example.com')));
+  return out.toString();
+}
+
+test('AuthenticationResultsStream drops fields claiming our authserv-id, folded lines included', async () => {
+  const message = [
+    'Authentication-Results: mx.example.com; dkim=pass',
+    '\theader.d=bank.example',
+    'Received: from relay.example.net',
+    'authentication-results: (forged) MX.EXAMPLE.COM 1;',
+    ' spf=pass',
+    'Authentication-Results: relay.example.net; spf=fail',
+    'Authentication-Results: mx.example.com.evil.example; dkim=pass',
+    'Subject: hi',
+    '',
+    'Authentication-Results: mx.example.com; body text stays',
+    '',
+  ].join('\r\n');
+  assert.equal(await rewrite(message), [
+    'Authentication-Results: mx.example.com;',
+    '\tspf=pass smtp.mailfrom=a@example.org',
+    'Received: from relay.example.net',
+    'Authentication-Results: relay.example.net; spf=fail',
+    'Authentication-Results: mx.example.com.evil.example; dkim=pass',
+    'Subject: hi',
+    '',
+    'Authentication-Results: mx.example.com; body text stays',
+    '',
+  ].join('\r\n'));
+});
+
+test('AuthenticationResultsStream follows LF line ends and copes with a header-only message', async () => {
+  assert.equal(
+    await rewrite('Authentication-Results: mx.example.com; x\nSubject: hi\n\nbody\n'),
+    'Authentication-Results: mx.example.com;\n\tspf=pass smtp.mailfrom=a@example.org\nSubject: hi\n\nbody\n'
+  );
+  // No line end to follow: LF, as Postfix pipes it
+  assert.equal(await rewrite('Subject: hi'), `${FIELD.replace('\r\n', '\n')}\nSubject: hi`);
+});
+
+test('MessageAuthenticator verifies SPF, DKIM and DMARC together', async () => {
+  const message = fs.readFileSync(new URL('fixtures/rfc8463.eml', import.meta.url));
+  const resolver = stubResolver({
+    ...FIXTURE_KEYS,
+    'txt football.example.com': ['v=spf1 ip4:192.0.2.0/24 -all'],
+    'txt _dmarc.football.example.com': ['v=DMARC1; p=reject'],
+  });
+  const authenticator = new MessageAuthenticator();
+  const passed = await buffer(Readable.from([message.subarray(0, 100), message.subarray(100)]).pipe(authenticator));
+  assert.deepEqual(passed, message);
+
+  const results = await authenticator.verify({ resolver, ip: '198.51.100.7', helo: 'mx', mailFrom: 'joe@football.example.com' });
+  assert.equal(results.spf.result, 'fail');
+  assert.deepEqual(authenticationSummary(results), {
+    spf: 'fail', dkim: 'pass', dkim_domains: ['football.example.com'], dmarc: 'pass', dmarc_policy: 'reject',
+  });
+  assert.equal(formatAuthenticationResults('mx.example.com', results), [
+    'Authentication-Results: mx.example.com;',
+    '\tspf=fail smtp.mailfrom=joe@football.example.com;',
+    '\tdkim=pass header.d=football.example.com header.s=brisbane header.b=/gCrinpc;',
+    '\tdkim=pass header.d=football.example.com header.s=test header.b=F45dVWDf;',
+    '\tdmarc=pass (p=reject) header.from=football.example.com',
+  ].join('\r\n'));
+});
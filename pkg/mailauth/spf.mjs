@@ -0,0 +1,247 @@
+import net from 'net';
+
+// SPF (RFC 7208) check_host(): the sender's record, its mechanisms and
+// macros, include/redirect, and the limits of ten DNS-querying terms and
+// two void lookups per check. `exp=` explanations are not fetched.
+
+const MAX_DNS_TERMS = 10;
+const MAX_VOID_LOOKUPS = 2;
+const MAX_MX_OR_PTR_NAMES = 10;
+
+class SpfError extends Error {
+  constructor(result, message) {
+    super(message);
+    this.result = result;
+  }
+}
+
+const permerror = (message) => new SpfError('permerror', message);
+
+const QUALIFIERS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+function ipFamily(ip) {
+  return net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+}
+
+function matchesCidr(ip, network, prefix) {
+  const family = ipFamily(ip);
+  if (ipFamily(network) !== family || !net.isIP(network)) return false;
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix, family);
+  return list.check(ip, family);
+}
+
+// ip6.arpa-style dotted nibbles for the %{i} macro
+function expandedIp(ip) {
+  if (!net.isIPv6(ip)) return ip;
+  const [head, tail = ''] = ip.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  return [...groups(head), ...Array(missing).fill('0'), ...groups(tail)]
+    .map((group) => group.padStart(4, '0'))
+    .join('')
+    .split('')
+    .join('.');
+}
+
+class SpfCheck {
+  constructor({ resolver, ip, helo, sender }) {
+    this.resolver = resolver;
+    this.ip = ip;
+    this.helo = helo || 'unknown';
+    this.sender = sender;
+    this.dnsTerms = 0;
+    this.voidLookups = 0;
+  }
+
+  countDnsTerm() {
+    if (++this.dnsTerms > MAX_DNS_TERMS) throw permerror('too many DNS lookups');
+  }
+
+  // Empty answers count towards the void lookup limit; errors are temporary
+  async lookup(type, name) {
+    let answers;
+    try {
+      answers = await this.resolver[type](name);
+    } catch (error) {
+      throw new SpfError('temperror', `DNS ${type} lookup of ${name} failed: ${error.message}`);
+    }
+    if (answers.length === 0 && ++this.voidLookups > MAX_VOID_LOOKUPS) throw permerror('too many void lookups');
+    return answers;
+  }
+
+  expand(spec, domain) {
+    const [localPart, senderDomain] = splitSender(this.sender);
+    const values = {
+      s: this.sender,
+      l: localPart,
+      o: senderDomain,
+      d: domain,
+      i: expandedIp(this.ip),
+      p: 'unknown',
+      v: net.isIPv6(this.ip) ? 'ip6' : 'in-addr',
+      h: this.helo,
+    };
+    const expanded = spec.replace(/%(?:\{([a-zA-Z])(\d*)(r?)([.\-+,/_=]*)\}|(.))/g, (m, letter, digits, reverse, delimiters, escape) => {
+      if (escape !== undefined) {
+        if (escape === '%') return '%';
+        if (escape === '_') return ' ';
+        if (escape === '-') return '%20';
+        throw permerror(`bad macro ${m}`);
+      }
+      const value = values[letter.toLowerCase()];
+      if (value === undefined) throw permerror(`bad macro ${m}`);
+      let parts = value.split(new RegExp(`[${(delimiters || '.').replace(/[-\]\\/]/g, '\\$&')}]`));
+      if (reverse) parts = parts.reverse();
+      if (digits) {
+        if (Number(digits) === 0) throw permerror(`bad macro ${m}`);
+        parts = parts.slice(-Number(digits));
+      }
+      const joined = parts.join('.');
+      return letter === letter.toUpperCase() ? encodeURIComponent(joined) : joined;
+    });
+    // An expanded domain over 253 characters loses labels from the left
+    let name = expanded;
+    while (name.length > 253 && name.includes('.')) name = name.slice(name.indexOf('.') + 1);
+    return name;
+  }
+
+  async record(domain) {
+    const records = (await this.lookup('txt', domain)).filter((text) => /^v=spf1(\s|$)/i.test(text));
+    if (records.length > 1) throw permerror(`multiple SPF records for ${domain}`);
+    return records[0] ?? null;
+  }
+
+  // check_host(): pass, fail, softfail, neutral or none; throws the errors
+  async checkHost(domain, depth = 0) {
+    if (!/^[^.]+(\.[^.]+)+$/.test(domain) || domain.length > 253) return 'none';
+    const record = await this.record(domain);
+    if (record === null) return 'none';
+
+    let redirect = null;
+    const directives = [];
+    for (const term of record.split(/\s+/).slice(1).filter(Boolean)) {
+      const modifier = /^([a-z][a-z0-9_.-]*)=(.*)$/i.exec(term);
+      if (modifier) {
+        const name = modifier[1].toLowerCase();
+        if (name === 'redirect') {
+          if (redirect !== null) throw permerror('repeated redirect modifier');
+          redirect = modifier[2];
+        }
+        continue;
+      }
+      const m = /^([+\-~?]?)([a-z][a-z0-9]*)(?::([^/]*))?((?:\/\d+)?(?:\/\/\d+)?)$/i.exec(term);
+      if (!m) throw permerror(`bad term ${term}`);
+      directives.push({ result: QUALIFIERS[m[1] || '+'], mechanism: m[2].toLowerCase(), argument: m[3], cidr: m[4] });
+    }
+
+    for (const directive of directives) {
+      if (await this.matches(directive, domain, depth)) return directive.result;
+    }
+    if (redirect !== null && !directives.some(({ mechanism }) => mechanism === 'all')) {
+      this.countDnsTerm();
+      const target = this.expand(redirect, domain);
+      const result = await this.checkHost(target, depth + 1);
+      if (result === 'none') throw permerror(`redirect to ${target} without SPF record`);
+      return result;
+    }
+    return 'neutral';
+  }
+
+  async matches({ mechanism, argument, cidr }, domain, depth) {
+    const target = () => (argument ? this.expand(argument, domain) : domain);
+    const [, v4 = null, v6 = null] = /^(?:\/(\d+))?(?:\/\/(\d+))?$/.exec(cidr) || [];
+    const prefix = net.isIPv6(this.ip) ? Number(v6 ?? 128) : Number(v4 ?? 32);
+    const hostMatches = async (name) => {
+      const addresses = await this.lookup(net.isIPv6(this.ip) ? 'aaaa' : 'a', name);
+      return addresses.some((address) => matchesCidr(this.ip, address, prefix));
+    };
+
+    switch (mechanism) {
+      case 'all':
+        return true;
+      case 'include': {
+        if (!argument) throw permerror('include without domain');
+        this.countDnsTerm();
+        if (depth >= MAX_DNS_TERMS) throw permerror('include loop');
+        const result = await this.checkHost(target(), depth + 1);
+        if (result === 'none') throw permerror(`include of ${target()} without SPF record`);
+        return result === 'pass';
+      }
+      case 'a':
+        this.countDnsTerm();
+        return hostMatches(target());
+      case 'mx': {
+        this.countDnsTerm();
+        const exchanges = await this.lookup('mx', target());
+        if (exchanges.length > MAX_MX_OR_PTR_NAMES) throw permerror('too many MX records');
+        for (const { exchange } of exchanges) {
+          if (await hostMatches(exchange)) return true;
+        }
+        return false;
+      }
+      case 'ptr': {
+        this.countDnsTerm();
+        const expected = target().toLowerCase();
+        let names;
+        try {
+          names = await this.resolver.reverse(this.ip);
+        } catch (_) {
+          return false;
+        }
+        for (const name of names.slice(0, MAX_MX_OR_PTR_NAMES)) {
+          const lower = name.toLowerCase();
+          if (lower !== expected && !lower.endsWith(`.${expected}`)) continue;
+          const addresses = await this.resolver[net.isIPv6(this.ip) ? 'aaaa' : 'a'](name).catch(() => []);
+          if (addresses.some((address) => matchesCidr(this.ip, address, net.isIPv6(this.ip) ? 128 : 32))) return true;
+        }
+        return false;
+      }
+      case 'ip4':
+      case 'ip6': {
+        if (!argument || (mechanism === 'ip4' ? !net.isIPv4(argument) : !net.isIPv6(argument))) {
+          throw permerror(`bad ${mechanism} network`);
+        }
+        const bits = Number(mechanism === 'ip4' ? (v4 ?? 32) : (v4 ?? 128));
+        if (bits > (mechanism === 'ip4' ? 32 : 128)) throw permerror(`bad ${mechanism} prefix`);
+        return matchesCidr(this.ip, argument, bits);
+      }
+      case 'exists': {
+        if (!argument) throw permerror('exists without domain');
+        this.countDnsTerm();
+        return (await this.lookup('a', target())).length > 0;
+      }
+      default:
+        throw permerror(`unknown mechanism ${mechanism}`);
+    }
+  }
+}
+
+function splitSender(sender) {
+  const at = sender.lastIndexOf('@');
+  return [sender.slice(0, at) || 'postmaster', sender.slice(at + 1)];
+}
+
+/**
+ * SPF verdict for a client `ip` sending as `mailFrom` ('' for the null
+ * sender, which is checked as postmaster@<helo>; null if not known):
+ * `{ result, domain, identity, sender, reason }`. result is pass, fail,
+ * softfail, neutral, none, temperror or permerror.
+ */
+export async function checkSpf({ resolver, ip, helo, mailFrom }) {
+  const identity = mailFrom ? 'mailfrom' : 'helo';
+  const sender = mailFrom || `postmaster@${helo || ''}`;
+  const domain = splitSender(sender)[1].toLowerCase();
+  if (mailFrom === null || mailFrom === undefined) {
+    return { result: 'none', domain: null, identity: 'mailfrom', sender: null, reason: 'envelope sender unknown' };
+  }
+  if (!ip || !net.isIP(ip)) return { result: 'none', domain, identity, sender, reason: 'client address unknown' };
+  if (!domain) return { result: 'none', domain: null, identity, sender, reason: 'no sender domain' };
+  const check = new SpfCheck({ resolver, ip, helo, sender });
+  try {
+    return { result: await check.checkHost(domain), domain, identity, sender, reason: null };
+  } catch (error) {
+    if (!(error instanceof SpfError)) throw error;
+    return { result: error.result, domain, identity, sender, reason: error.message };
+  }
+}
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSpf } from './spf.mjs';
+import { stubResolver } from './fixtures/resolver.mjs';
+
+const spf = (zone, ip, mailFrom = 'alice@example.com', helo = 'mail.example.com') =>
+  checkSpf({ resolver: stubResolver(zone), ip, helo, mailFrom });
+
+test('include passes when the included record matches, else the outer record goes on', async () => {
+  const zone = {
+    'txt example.com': ['v=spf1 include:_spf.provider.net -all', 'google-site-verification=x'],
+    'txt _spf.provider.net': ['v=spf1 ip4:192.0.2.0/24 ~all'],
+  };
+  assert.equal((await spf(zone, '192.0.2.10')).result, 'pass');
+  // The include's ~all is not a match, so -all decides
+  assert.equal((await spf(zone, '198.51.100.1')).result, 'fail');
+});
+
+test('include and redirect of a domain without SPF record are permerrors', async () => {
+  const zone = {
+    'txt example.com': ['v=spf1 include:nospf.example.net -all'],
+    'txt example.org': ['v=spf1 redirect=nospf.example.net'],
+  };
+  const include = await spf(zone, '192.0.2.10');
+  assert.deepEqual([include.result, include.reason], ['permerror', 'include of nospf.example.net without SPF record']);
+  assert.equal((await spf(zone, '192.0.2.10', 'alice@example.org')).result, 'permerror');
+});
+
+test('redirect takes over the target record, unless the record has all', async () => {
+  const zone = {
+    'txt example.com': ['v=spf1 redirect=_spf.example.net'],
+    'txt example.org': ['v=spf1 ?all redirect=_spf.example.net'],
+    'txt _spf.example.net': ['v=spf1 ip4:192.0.2.10 -all'],
+  };
+  assert.equal((await spf(zone, '192.0.2.10')).result, 'pass');
+  assert.equal((await spf(zone, '192.0.2.11')).result, 'fail');
+  assert.equal((await spf(zone, '192.0.2.10', 'alice@example.org')).result, 'neutral');
+});
+
+test('more than ten DNS-querying terms are a permerror', async () => {
+  const hosts = Array.from({ length: 11 }, (_, i) => `h${i}.example.com`);
+  const zone = Object.fromEntries(hosts.map((host, i) => [`a ${host}`, [`203.0.113.${i}`]]));
+  zone['txt example.com'] = [`v=spf1 ${hosts.slice(0, 10).map((h) => `a:${h}`).join(' ')} -all`];
+  zone['txt example.org'] = [`v=spf1 ${hosts.map((h) => `a:${h}`).join(' ')} -all`];
+  assert.equal((await spf(zone, '192.0.2.10')).result, 'fail');
+  const over = await spf(zone, '192.0.2.10', 'alice@example.org');
+  assert.deepEqual([over.result, over.reason], ['permerror', 'too many DNS lookups']);
+});
+
+test('terms inside includes count towards the ten lookups', async () => {
+  // Five includes and five a terms: ten
+  const zone = { 'txt example.com': ['v=spf1 include:i0.example.net -all'] };
+  for (let i = 0; i < 4; i++) zone[`txt i${i}.example.net`] = [`v=spf1 a:h${i}.example.net include:i${i + 1}.example.net`];
+  for (let i = 0; i < 6; i++) zone[`a h${i}.example.net`] = ['203.0.113.1'];
+  zone['txt i4.example.net'] = ['v=spf1 a:h4.example.net ip4:192.0.2.10'];
+  assert.equal((await spf(zone, '192.0.2.10')).result, 'pass');
+  zone['txt i4.example.net'] = ['v=spf1 a:h4.example.net a:h5.example.net ip4:192.0.2.10'];
+  const over = await spf(zone, '192.0.2.10');
+  assert.deepEqual([over.result, over.reason], ['permerror', 'too many DNS lookups']);
+});
+
+test('a third void lookup is a permerror', async () => {
+  const zone = {
+    'txt example.com': ['v=spf1 a:v1.example.com mx:v2.example.com -all'],
+    'txt example.org': ['v=spf1 a:v1.example.com mx:v2.example.com exists:v3.example.com -all'],
+  };
+  assert.equal((await spf(zone, '192.0.2.10')).result, 'fail');
+  const over = await spf(zone, '192.0.2.10', 'alice@example.org');
+  assert.deepEqual([over.result, over.reason], ['permerror', 'too many void lookups']);
+});
+
+test('ip6 networks match by prefix and never match IPv4 clients', async () => {
+  const zone = { 'txt example.com': ['v=spf1 ip6:2001:db8::/32 ip6:2001:db9::1 -all'] };
+  assert.equal((await spf(zone, '2001:db8:ffff::25')).result, 'pass');
+  assert.equal((await spf(zone, '2001:db9::1')).result, 'pass');
+  assert.equal((await spf(zone, '2001:db9::2')).result, 'fail');
+  assert.equal((await spf(zone, '192.0.2.10')).result, 'fail');
+  assert.equal((await spf({ 'txt example.com': ['v=spf1 ip6:2001:db8::/129 -all'] }, '2001:db8::1')).result, 'permerror');
+});
+
+test('a and mx take the IPv6 prefix after "//"', async () => {
+  const zone = {
+    'txt example.com': ['v=spf1 a:host.example.com/24//64 -all'],
+    'txt example.org': ['v=spf1 mx -all'],
+    'aaaa host.example.com': ['2001:db8:0:1::1'],
+    'a host.example.com': ['192.0.2.1'],
+    'mx example.org': [{ exchange: 'host.example.com', priority: 10 }],
+  };
+  assert.equal((await spf(zone, '2001:db8:0:1::99')).result, 'pass');
+  assert.equal((await spf(zone, '2001:db8:0:2::1')).result, 'fail');
+  assert.equal((await spf(zone, '192.0.2.200')).result, 'pass');
+  // No prefix: the exact address
+  assert.equal((await spf(zone, '2001:db8:0:1::1', 'alice@example.org')).result, 'pass');
+  assert.equal((await spf(zone, '2001:db8:0:1::99', 'alice@example.org')).result, 'fail');
+});
+
+test('DNS failures are temperrors, several records a permerror', async () => {
+  assert.equal((await spf({ 'txt example.com': new Error('timeout') }, '192.0.2.10')).result, 'temperror');
+  assert.equal((await spf({ 'txt example.com': ['v=spf1 -all', 'v=spf1 +all'] }, '192.0.2.10')).result, 'permerror');
+  assert.equal((await spf({}, '192.0.2.10')).result, 'none');
+});
+
+test('the null sender is checked as postmaster at the HELO name', async () => {
+  const zone = { 'txt mail.example.com': ['v=spf1 ip4:192.0.2.10 -all'] };
+  const result = await spf(zone, '192.0.2.10', '');
+  assert.deepEqual(result, {
+    result: 'pass', domain: 'mail.example.com', identity: 'helo', sender: 'postmaster@mail.example.com', reason: null,
+  });
+});
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 
 export async function ensureMaildir(root, vaultboxId) {
   const base = path.join(root, String(vaultboxId), 'Maildir');
@@ -9,12 +10,86 @@ export async function ensureMaildir(root, vaultboxId) {
   return base;
 }
 
+export function uniqueName() {
+  const rand = Math.floor(Math.random() * 1e9);
+  return `${Date.now()}.${process.pid}_${rand}.encimap`;
+}
+
 export async function writeMessage(root, vaultboxId, data) {
   const base = await ensureMaildir(root, vaultboxId);
-  const now = Date.now();
-  const tmpName = path.join(base, 'tmp', `${now}.${process.pid}.encimap`);
-  const newName = path.join(base, 'new', `${now}.${process.pid}.encimap:2,`);
+  const name = uniqueName();
+  const tmpName = path.join(base, 'tmp', name);
+  const newName = path.join(base, 'new', `${name}:2,`);
   await fs.promises.writeFile(tmpName, data);
   await fs.promises.rename(tmpName, newName);
   return newName;
 }
+
+// Stream a message into tmp/ through the given transforms and only rename it
+// into new/ once every stage has finished; a failed stage leaves nothing behind.
+export async function writeMessageStream(root, vaultboxId, streams, { mode = 0o644 } = {}) {
+  const base = await ensureMaildir(root, vaultboxId);
+  const name = uniqueName();
+  const tmpName = path.join(base, 'tmp', name);
+  const newName = path.join(base, 'new', `${name}:2,`);
+  const out = fs.createWriteStream(tmpName, { mode });
+  try {
+    await pipeline(...streams, out);
+    await fs.promises.rename(tmpName, newName);
+  } catch (err) {
+    await fs.promises.rm(tmpName, { force: true }).catch(() => {});
+    throw err;
+  }
+  return { path: newName, bytes: out.bytesWritten };
+}
+
+// IMAP servers move delivered messages from new/ to cur/ and append flags to
+// the name, so a stored path can be stale: resolve the message's current file.
+export async function locateMessage(storedPath) {
+  try {
+    await fs.promises.access(storedPath);
+    return storedPath;
+  } catch (_) { /* moved or gone */ }
+  const base = path.dirname(path.dirname(storedPath));
+  const name = path.basename(storedPath).split(':')[0];
+  for (const dir of ['cur', 'new']) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(base, dir));
+    } catch (_) {
+      continue;
+    }
+    const hit = entries.find((e) => e === name || e.startsWith(`${name}:`));
+    if (hit) return path.join(base, dir, hit);
+  }
+  return null;
+}
+
+// Delivered message files of a vaultbox: new/ and cur/ of the inbox and of
+// every Maildir++ folder (".Name"), with their size and delivery time (mtime).
+export async function* messageFiles(root, vaultboxId) {
+  const base = path.join(root, String(vaultboxId), 'Maildir');
+  let folders;
+  try {
+    folders = (await fs.promises.readdir(base, { withFileTypes: true }))
+      .filter((e) => e.isDirectory() && e.name.startsWith('.'))
+      .map((e) => path.join(base, e.name));
+  } catch (_) {
+    return;
+  }
+  for (const folder of [base, ...folders]) {
+    for (const dir of ['new', 'cur']) {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(folder, dir));
+      } catch (_) {
+        continue;
+      }
+      for (const name of entries) {
+        const file = path.join(folder, dir, name);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (stat && stat.isFile()) yield { path: file, size: stat.size, mtime: stat.mtime };
+      }
+    }
+  }
+}
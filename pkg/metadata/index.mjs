@@ -0,0 +1,147 @@
+// Searchable per-message metadata (messages.message_id / headers_meta) and
+// the sensitive headers that are only stored encrypted to the vaultbox certs.
+
+import { headerValue, decodedValue, originatorFields, formatAddress } from '../headers/index.mjs';
+
+export const INDEX_FIELDS = ['message_id', 'date', 'list_id', 'size_bucket', 'has_attachment', 'auth'];
+
+const SIZE_BUCKETS = [
+  [10 * 1024, '<10KB'],
+  [100 * 1024, '10KB-100KB'],
+  [1024 * 1024, '100KB-1MB'],
+  [10 * 1024 * 1024, '1MB-10MB'],
+];
+
+export function sizeBucket(bytes) {
+  for (const [limit, label] of SIZE_BUCKETS) {
+    if (bytes < limit) return label;
+  }
+  return '>=10MB';
+}
+
+function angleBracketed(value) {
+  if (!value) return null;
+  const m = value.match(/<([^>]+)>/);
+  return (m ? m[1] : value).trim().slice(0, 255) || null;
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const date = new Date(value.replace(/\s*\([^)]*\)\s*$/, ''));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalise a requested field list against INDEX_FIELDS; null means all.
+ */
+export function resolveIndexFields(fields) {
+  if (!Array.isArray(fields)) return [...INDEX_FIELDS];
+  return INDEX_FIELDS.filter((f) => fields.includes(f));
+}
+
+/**
+ * Build the plaintext index for a message from its header block.
+ * Returns `{ messageId, headersMeta }`; only requested fields are set.
+ * `auth` is the sender authentication summary, when the checks ran.
+ */
+export function extractIndexMetadata(headers, { fields = INDEX_FIELDS, bytes = 0, hasAttachment = false, auth = null } = {}) {
+  const want = new Set(fields);
+  const headersMeta = {};
+  const messageId = want.has('message_id') ? angleBracketed(headerValue(headers, 'message-id')) : null;
+  if (want.has('date')) headersMeta.date = isoDate(headerValue(headers, 'date'));
+  if (want.has('list_id')) headersMeta.list_id = angleBracketed(headerValue(headers, 'list-id'));
+  if (want.has('size_bucket')) headersMeta.size_bucket = sizeBucket(bytes);
+  if (want.has('has_attachment')) headersMeta.has_attachment = hasAttachment;
+  if (want.has('auth') && auth) headersMeta.auth = auth;
+  return { messageId, headersMeta };
+}
+
+const formatList = (mailboxes) => (mailboxes.length > 0 ? mailboxes.map(formatAddress).join(', ') : null);
+
+/**
+ * Headers the server must not keep readable; encrypted as a small CMS blob.
+ * Values are decoded for display (RFC 2047).
+ */
+export function sensitiveHeaders(headers) {
+  const { from, sender, reply_to } = originatorFields(headers);
+  return {
+    subject: decodedValue(headers, 'subject'),
+    from: formatList(from) ?? decodedValue(headers, 'from'),
+    sender: sender ? formatAddress(sender) : null,
+    reply_to: formatList(reply_to),
+  };
+}
+
+// A part header field announcing a file: Content-Disposition: attachment,
+// or a filename parameter (RFC 2231 continuations included)
+const ATTACHMENT_PATTERN = /^content-disposition:[ \t]*attachment|;[ \t]*filename(\*\d+)?\*?[ \t]*=/i;
+const BOUNDARY_PATTERN = /^content-type:[ \t]*multipart\/[^;]*;.*?\bboundary[ \t]*=[ \t]*(?:"([^"]+)"|([^\s;]+))/i;
+// Longest line or header field kept; boundaries are at most 70 characters
+const MAX_LINE = 1024;
+const MAX_FIELD = 8192;
+
+/**
+ * Incremental attachment detection over the raw message, chunk by chunk.
+ * Only header blocks are looked at: the message's own and, once its
+ * multipart boundaries are known, the one opening each part. Body text that
+ * merely mentions a filename does not count.
+ */
+export class AttachmentScanner {
+  constructor() {
+    this.found = false;
+    this.inHeaders = true;
+    this.boundaries = new Set();
+    this.field = '';
+    this.embedded = false;
+    this.partial = '';
+  }
+
+  push(chunk) {
+    if (this.found) return;
+    const lines = (this.partial + chunk.toString('latin1')).split('\n');
+    this.partial = lines.pop().slice(0, MAX_LINE);
+    for (const line of lines) {
+      this.line(line.replace(/\r$/, ''));
+      if (this.found) return;
+    }
+  }
+
+  // The message may end without a line end
+  end() {
+    if (this.found || !this.partial) return;
+    this.line(this.partial.replace(/\r$/, ''));
+    this.partial = '';
+  }
+
+  line(text) {
+    if (!this.inHeaders) {
+      // A delimiter line opens the next part's headers; the closing one
+      // ("--boundary--") leads into the epilogue
+      const m = /^--(.*?)[ \t]*$/.exec(text);
+      if (m && this.boundaries.has(m[1])) this.inHeaders = true;
+      return;
+    }
+    if (/^[ \t]/.test(text) && this.field) {
+      this.field = (this.field + text).slice(0, MAX_FIELD);
+    } else {
+      this.endField();
+      if (text === '') {
+        // A message/rfc822 part's body starts with the embedded headers
+        this.inHeaders = this.embedded;
+        this.embedded = false;
+        return;
+      }
+      this.field = text.slice(0, MAX_FIELD);
+    }
+    if (ATTACHMENT_PATTERN.test(this.field)) this.found = true;
+  }
+
+  // Boundaries are only read from complete fields: a folded parameter may
+  // not have arrived yet
+  endField() {
+    const boundary = BOUNDARY_PATTERN.exec(this.field);
+    if (boundary) this.boundaries.add(boundary[1] ?? boundary[2]);
+    if (/^content-type:[ \t]*message\/rfc822/i.test(this.field)) this.embedded = true;
+    this.field = '';
+  }
+}
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AttachmentScanner } from './index.mjs';
+
+// Scans `lines` as one message, cut into chunks of `chunkSize` bytes, as
+// IntakeMeter feeds it
+function scan(lines, { chunkSize = Infinity, eol = '\r\n' } = {}) {
+  const message = Buffer.from(lines.join(eol));
+  const scanner = new AttachmentScanner();
+  const size = Math.min(chunkSize, message.length) || 1;
+  for (let i = 0; i < message.length; i += size) scanner.push(message.subarray(i, i + size));
+  scanner.end();
+  return scanner.found;
+}
+
+const multipart = (...parts) => [
+  'From: alice@example.com',
+  'Content-Type: multipart/mixed;',
+  ' boundary="=_outer 1"',
+  '',
+  'This is a multi-part message in MIME format.',
+  ...parts.flatMap((part) => ['--=_outer 1', ...part]),
+  '--=_outer 1--',
+  'Epilogue: filename="not-an-attachment.txt"',
+  '',
+];
+
+const textPart = (...body) => ['Content-Type: text/plain; charset=utf-8', '', ...body];
+
+test('a part with Content-Disposition: attachment or a filename is an attachment', () => {
+  assert.equal(scan(multipart(textPart('Hi'), ['Content-Type: application/pdf', 'Content-Disposition: attachment', '', 'JVBERi0='])), true);
+  assert.equal(scan(multipart(textPart('Hi'), ['Content-Type: image/png', 'Content-Disposition: inline;', '\tfilename="logo.png"', '', 'iVBORw0='])), true);
+  // RFC 2231 encoded and continued names
+  assert.equal(scan(multipart(['Content-Disposition: inline; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf', '', 'x'])), true);
+  assert.equal(scan(multipart(['Content-Disposition: inline; filename*0="long"; filename*1="name.txt"', '', 'x'])), true);
+});
+
+test('body text that looks like part headers is not an attachment', () => {
+  const body = textPart(
+    'To attach a file, send it with',
+    'Content-Disposition: attachment; filename="report.pdf"',
+    'and a header like; filename=x.txt'
+  );
+  assert.equal(scan(multipart(body)), false);
+  // Nor in a message that is not multipart at all
+  assert.equal(scan(['Subject: headers', '', 'Content-Disposition: attachment', '; filename=x', '']), false);
+  // A delimiter of a boundary that was never declared opens nothing
+  assert.equal(scan(multipart(textPart('--unknown', 'Content-Disposition: attachment', ''))), false);
+});
+
+test('the message header block counts, as for a single-part attachment', () => {
+  assert.equal(scan(['From: a@example.com', 'Content-Type: application/pdf', 'Content-Disposition: attachment', '', 'JVBERi0=']), true);
+  assert.equal(scan(['From: a@example.com', 'Content-Disposition: attachment; filename=x.pdf']), true);
+});
+
+test('nested multiparts and unquoted boundaries are followed', () => {
+  const alternative = [
+    'Content-Type: multipart/alternative; boundary=inner',
+    '',
+    '--inner',
+    ...textPart('plain'),
+    '--inner',
+    'Content-Type: text/html',
+    '',
+    '<p>Content-Disposition: attachment</p>',
+    '--inner--',
+  ];
+  assert.equal(scan(multipart(alternative)), false);
+  const related = [...alternative.slice(0, -1), '--inner', 'Content-Type: image/png; name="a.png"', 'Content-Disposition: inline; filename="a.png"', '', 'x', '--inner--'];
+  assert.equal(scan(multipart(related)), true);
+});
+
+test('headers of a forwarded message are part headers too', () => {
+  const forwarded = [
+    'Content-Type: message/rfc822',
+    '',
+    'From: bob@example.net',
+    'Content-Type: multipart/mixed; boundary="fwd"',
+    '',
+    '--fwd',
+    ...textPart('see attached'),
+    '--fwd',
+    'Content-Disposition: attachment; filename="plan.xlsx"',
+    '',
+    'UEsDBA==',
+    '--fwd--',
+  ];
+  assert.equal(scan(multipart(textPart('FYI'), forwarded)), true);
+  assert.equal(scan(multipart(textPart('FYI'), forwarded.filter((line) => !line.includes('plan.xlsx')))), false);
+});
+
+test('the result does not depend on chunking or line ends', () => {
+  const withAttachment = multipart(textPart('Hi'), ['Content-Disposition: inline;', ' filename="a.png"', '', 'x']);
+  const withoutAttachment = multipart(textPart('Content-Disposition: attachment; filename="a.png"'));
+  for (const chunkSize of [1, 2, 3, 7, 64]) {
+    for (const eol of ['\r\n', '\n']) {
+      assert.equal(scan(withAttachment, { chunkSize, eol }), true, `${chunkSize} ${JSON.stringify(eol)}`);
+      assert.equal(scan(withoutAttachment, { chunkSize, eol }), false, `${chunkSize} ${JSON.stringify(eol)}`);
+    }
+  }
+});
+
+test('long body lines do not grow the scanner', () => {
+  const scanner = new AttachmentScanner();
+  scanner.push(Buffer.from('Content-Type: multipart/mixed; boundary=b\r\n\r\n--b\r\n\r\n'));
+  for (let i = 0; i < 100; i++) scanner.push(Buffer.alloc(10000, 'a'));
+  assert.ok(scanner.partial.length <= 1024);
+  scanner.push(Buffer.from('\r\n--b\r\nContent-Disposition: attachment\r\n\r\n'));
+  assert.equal(scanner.found, true);
+});
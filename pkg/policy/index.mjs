@@ -0,0 +1,71 @@
+import net from 'net';
+
+// Postfix SMTP access policy delegation (check_policy_service): each request
+// is "name=value" lines ended by an empty line, the answer a single
+// "action=..." line and an empty line. A connection carries any number of
+// requests. The caller decides through `onRequest(attributes) -> action`.
+
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+function parseRequest(block) {
+  const attributes = {};
+  for (const line of block.split('\n')) {
+    const idx = line.indexOf('=');
+    if (idx > 0) attributes[line.slice(0, idx)] = line.slice(idx + 1);
+  }
+  return attributes;
+}
+
+/**
+ * net.Server answering policy requests. Options: `onRequest`, `onError`
+ * (called when onRequest throws; the request is answered with
+ * `failureAction`), `failureAction`.
+ */
+export function createPolicyServer(options) {
+  const settings = {
+    failureAction: '451 4.3.0 temporary policy lookup failure',
+    onError: () => {},
+    ...options,
+  };
+
+  return net.createServer((socket) => {
+    let input = '';
+    let busy = false;
+
+    // One request at a time, answered in order
+    const pump = async () => {
+      if (busy) return;
+      busy = true;
+      socket.pause();
+      try {
+        let end;
+        while ((end = input.indexOf('\n\n')) !== -1 && !socket.destroyed) {
+          const attributes = parseRequest(input.slice(0, end));
+          input = input.slice(end + 2);
+          let action;
+          try {
+            action = await settings.onRequest(attributes);
+          } catch (error) {
+            settings.onError(error, attributes);
+            action = settings.failureAction;
+          }
+          if (!socket.destroyed) socket.write(`action=${action}\n\n`);
+        }
+      } finally {
+        busy = false;
+        if (!socket.destroyed) socket.resume();
+      }
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+      input += chunk.replace(/\r/g, '');
+      if (input.length > MAX_REQUEST_BYTES && input.indexOf('\n\n') === -1) {
+        socket.destroy();
+        return;
+      }
+      pump();
+    });
+    socket.on('error', () => {});
+  });
+}
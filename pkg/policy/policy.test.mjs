@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createPolicyServer } from './index.mjs';
+
+async function startServer(options) {
+  const server = createPolicyServer(options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+// Writes the pieces with a pause between them and collects `count` answers
+function exchange(server, pieces, count) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    let output = '';
+    socket.setEncoding('utf8');
+    socket.on('error', reject);
+    socket.on('data', (chunk) => {
+      output += chunk;
+      const answers = output.split('\n\n').slice(0, -1);
+      if (answers.length >= count) {
+        socket.destroy();
+        resolve(answers);
+      }
+    });
+    (async () => {
+      for (const piece of pieces) {
+        socket.write(piece);
+        await new Promise((r) => setTimeout(r, 20));
+      }
+    })();
+  });
+}
+
+test('requests are parsed into attributes, values keeping any "="', async (t) => {
+  const requests = [];
+  const server = await startServer({
+    onRequest: async (attributes) => {
+      requests.push(attributes);
+      return 'DUNNO';
+    },
+  });
+  t.after(() => server.close());
+
+  const answers = await exchange(server, [
+    'request=smtpd_access_policy\nprotocol_state=RCPT\nrecipient=alice+tag@example.com\n' +
+    'ccert_subject=CN=x=y\nempty=\nnot an attribute\n\n',
+  ], 1);
+  assert.deepEqual(answers, ['action=DUNNO']);
+  assert.deepEqual(requests, [{
+    request: 'smtpd_access_policy',
+    protocol_state: 'RCPT',
+    recipient: 'alice+tag@example.com',
+    ccert_subject: 'CN=x=y',
+    empty: '',
+  }]);
+});
+
+test('pipelined and split requests on one connection are answered in order', async (t) => {
+  const server = await startServer({
+    onRequest: async ({ recipient }) => {
+      // The first answer is the slowest; order must still hold
+      if (recipient === 'a@example.com') await new Promise((r) => setTimeout(r, 30));
+      return `OK ${recipient}`;
+    },
+  });
+  t.after(() => server.close());
+
+  const answers = await exchange(server, [
+    'recipient=a@example.com\n\nrecipient=b@exa',
+    'mple.com\r\n\r',
+    '\nrecipient=c@example.com\n\n',
+  ], 3);
+  assert.deepEqual(answers, ['action=OK a@example.com', 'action=OK b@example.com', 'action=OK c@example.com']);
+});
+
+test('a throwing onRequest gets the failure action', async (t) => {
+  const errors = [];
+  const server = await startServer({
+    onRequest: async () => { throw new Error('database down'); },
+    onError: (error, attributes) => errors.push([error.message, attributes.recipient]),
+  });
+  t.after(() => server.close());
+
+  const answers = await exchange(server, ['recipient=a@example.com\n\n'], 1);
+  assert.deepEqual(answers, ['action=451 4.3.0 temporary policy lookup failure']);
+  assert.deepEqual(errors, [['database down', 'a@example.com']]);
+});
@@ -0,0 +1,134 @@
+import net from 'net';
+import { parseListenAddress } from '../listen/index.mjs';
+
+// Postfix socketmap lookup protocol (socketmap_table(5)): requests and
+// replies are netstrings ("<length>:<data>,"). A request is "<map> <key>",
+// the reply "OK <value>", "NOTFOUND ", "TEMP <reason>" or "PERM <reason>".
+// A connection carries any number of requests.
+
+// Postfix refuses replies over socketmap_max_reply_size (100000 by default)
+const MAX_NETSTRING = 100000;
+
+export function encodeNetstring(text) {
+  return `${Buffer.byteLength(text)}:${text},`;
+}
+
+/**
+ * Take the netstrings off the front of `buffer`: `{ items, rest }`. Throws
+ * on a malformed or oversized netstring.
+ */
+export function decodeNetstrings(buffer) {
+  const items = [];
+  let rest = buffer;
+  for (;;) {
+    const colon = rest.indexOf(0x3a);
+    if (colon === -1) {
+      if (rest.length > 10 || !/^\d*$/.test(rest.toString('latin1'))) throw new Error('malformed netstring');
+      break;
+    }
+    const digits = rest.subarray(0, colon).toString('latin1');
+    if (!/^\d{1,10}$/.test(digits) || Number(digits) > MAX_NETSTRING) throw new Error('malformed netstring');
+    const end = colon + 1 + Number(digits);
+    if (rest.length <= end) break;
+    if (rest[end] !== 0x2c) throw new Error('malformed netstring');
+    items.push(rest.subarray(colon + 1, end).toString('utf8'));
+    rest = rest.subarray(end + 1);
+  }
+  return { items, rest };
+}
+
+/**
+ * net.Server answering socketmap requests through `onLookup(map, key)`,
+ * which resolves with the value or null for not found. Unknown maps and
+ * thrown errors are answered with TEMP, so Postfix defers rather than
+ * bouncing; `onError(error, map, key)` is told about the latter.
+ */
+export function createSocketmapServer(options) {
+  const settings = { onError: () => {}, ...options };
+
+  return net.createServer((socket) => {
+    let input = Buffer.alloc(0);
+    let busy = false;
+
+    const answer = async (request) => {
+      const space = request.indexOf(' ');
+      if (space < 1) return 'PERM malformed request';
+      const map = request.slice(0, space);
+      const key = request.slice(space + 1);
+      try {
+        const value = await settings.onLookup(map, key);
+        return value === null || value === undefined ? 'NOTFOUND ' : `OK ${value}`;
+      } catch (error) {
+        settings.onError(error, map, key);
+        return 'TEMP lookup failed';
+      }
+    };
+
+    // Requests are answered one at a time, in order
+    const pump = async () => {
+      if (busy) return;
+      busy = true;
+      socket.pause();
+      try {
+        for (;;) {
+          let decoded;
+          try {
+            decoded = decodeNetstrings(input);
+          } catch (error) {
+            socket.end(encodeNetstring(`PERM ${error.message}`));
+            return;
+          }
+          input = decoded.rest;
+          if (decoded.items.length === 0 || socket.destroyed) break;
+          for (const request of decoded.items) {
+            const reply = await answer(request);
+            if (!socket.destroyed) socket.write(encodeNetstring(reply));
+          }
+        }
+      } finally {
+        busy = false;
+        if (!socket.destroyed) socket.resume();
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      input = input.length ? Buffer.concat([input, chunk]) : chunk;
+      pump();
+    });
+    socket.on('error', () => {});
+  });
+}
+
+/**
+ * Look `key` up in `map` on the server at `address` ("host:port", "port"
+ * or a socket path): the value, or null if not found. TEMP and PERM
+ * replies are thrown.
+ */
+export function socketmapLookup(address, map, key, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(parseListenAddress(address));
+    let input = Buffer.alloc(0);
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.setTimeout(timeoutMs, () => fail(new Error('socketmap lookup timed out')));
+    socket.on('error', fail);
+    socket.on('connect', () => socket.write(encodeNetstring(`${map} ${key}`)));
+    socket.on('data', (chunk) => {
+      input = Buffer.concat([input, chunk]);
+      let decoded;
+      try {
+        decoded = decodeNetstrings(input);
+      } catch (error) {
+        return fail(error);
+      }
+      if (decoded.items.length === 0) return;
+      socket.end();
+      const [status, ...value] = decoded.items[0].split(' ');
+      if (status === 'OK') resolve(value.join(' '));
+      else if (status === 'NOTFOUND') resolve(null);
+      else reject(new Error(`socketmap ${status}: ${value.join(' ')}`));
+    });
+  });
+}
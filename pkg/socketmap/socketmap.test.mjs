@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { encodeNetstring, decodeNetstrings, createSocketmapServer, socketmapLookup } from './index.mjs';
+
+test('encodeNetstring counts bytes, not characters', () => {
+  assert.equal(encodeNetstring('transport alice@example.com'), '27:transport alice@example.com,');
+  assert.equal(encodeNetstring('NOTFOUND '), '9:NOTFOUND ,');
+  assert.equal(encodeNetstring('é'), '2:é,');
+  assert.equal(encodeNetstring(''), '0:,');
+});
+
+test('decodeNetstrings takes whole netstrings and keeps a partial one', () => {
+  const { items, rest } = decodeNetstrings(Buffer.from('3:abc,2:é,0:,5:hel'));
+  assert.deepEqual(items, ['abc', 'é', '']);
+  assert.equal(rest.toString(), '5:hel');
+  // The comma has not arrived yet
+  assert.equal(decodeNetstrings(Buffer.from('3:abc')).items.length, 0);
+  assert.equal(decodeNetstrings(Buffer.from('12')).rest.toString(), '12');
+  assert.deepEqual(decodeNetstrings(Buffer.alloc(0)), { items: [], rest: Buffer.alloc(0) });
+});
+
+test('decodeNetstrings throws on malformed or oversized input', () => {
+  for (const input of ['3:abcd', 'x:abc,', ':abc,', 'abc', '12345678901', '100001:']) {
+    assert.throws(() => decodeNetstrings(Buffer.from(input)), /malformed netstring/, input);
+  }
+  assert.doesNotThrow(() => decodeNetstrings(Buffer.from('100000:')));
+});
+
+async function startServer(options) {
+  const server = createSocketmapServer({
+    onLookup: async (map, key) => {
+      if (map !== 'transport') throw new Error(`unknown map ${map}`);
+      return key === 'alice@example.com' ? 'encimap:vaultbox-1' : null;
+    },
+    ...options,
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, address: `127.0.0.1:${server.address().port}` };
+}
+
+test('socketmapLookup resolves OK values and NOTFOUND as null', async (t) => {
+  const { server, address } = await startServer();
+  t.after(() => server.close());
+  assert.equal(await socketmapLookup(address, 'transport', 'alice@example.com'), 'encimap:vaultbox-1');
+  assert.equal(await socketmapLookup(address, 'transport', 'bob@example.com'), null);
+});
+
+test('a failing lookup is answered TEMP and reported', async (t) => {
+  const errors = [];
+  const { server, address } = await startServer({ onError: (error, map, key) => errors.push([error.message, map, key]) });
+  t.after(() => server.close());
+  await assert.rejects(socketmapLookup(address, 'aliases', 'x'), /socketmap TEMP: lookup failed/);
+  assert.deepEqual(errors, [['unknown map aliases', 'aliases', 'x']]);
+});
+
+test('pipelined requests on one connection are answered in order', async (t) => {
+  const { server } = await startServer();
+  t.after(() => server.close());
+
+  const replies = await new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    let input = Buffer.alloc(0);
+    socket.on('error', reject);
+    socket.on('data', (chunk) => {
+      input = Buffer.concat([input, chunk]);
+      const { items } = decodeNetstrings(input);
+      if (items.length === 3) {
+        socket.destroy();
+        resolve(items);
+      }
+    });
+    const requests = ['transport alice@example.com', 'transport bob@example.com', 'nospace'].map(encodeNetstring).join('');
+    // Split inside a netstring
+    socket.write(requests.slice(0, 7));
+    setTimeout(() => socket.write(requests.slice(7)), 20);
+  });
+  assert.deepEqual(replies, ['OK encimap:vaultbox-1', 'NOTFOUND ', 'PERM malformed request']);
+});
+
+test('a malformed netstring is answered PERM and the connection closed', async (t) => {
+  const { server } = await startServer();
+  t.after(() => server.close());
+
+  const reply = await new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    let input = '';
+    socket.setEncoding('utf8');
+    socket.on('error', reject);
+    socket.on('data', (chunk) => { input += chunk; });
+    socket.on('end', () => resolve(input));
+    socket.write('3:abcd');
+  });
+  assert.equal(reply, encodeNetstring('PERM malformed netstring'));
+});
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+// Durable intake queue. A job is a payload `<id>.msg` plus its record
+// `<id>.json`, staged in tmp/ and committed by rename into:
+//   queue/  waiting for delivery or its next retry
+//   dead/   retries exhausted; kept for inspection and replay
+// Files are fsynced before every rename, so an acknowledged job survives a
+// crash. The record is committed after the payload: a payload without a
+// record is an interrupted enqueue and is never delivered.
+
+const ID_PATTERN = /^\d{13}-[0-9a-f]{16}$/;
+
+async function syncPath(target) {
+  const fh = await fs.promises.open(target, 'r');
+  try {
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+}
+
+export class Spool {
+  constructor(root) {
+    this.root = root;
+  }
+
+  async init() {
+    for (const dir of ['tmp', 'queue', 'dead']) {
+      await fs.promises.mkdir(path.join(this.root, dir), { recursive: true, mode: 0o700 });
+    }
+    // Whatever is left in tmp/ was never acknowledged
+    for (const name of await fs.promises.readdir(path.join(this.root, 'tmp'))) {
+      await fs.promises.rm(path.join(this.root, 'tmp', name), { force: true });
+    }
+  }
+
+  payloadPath(state, id) {
+    return path.join(this.root, state, `${id}.msg`);
+  }
+
+  recordPath(state, id) {
+    return path.join(this.root, state, `${id}.json`);
+  }
+
+  // Write a file in tmp/, fsync it and rename it into place
+  async _commit(target, streams) {
+    const staged = path.join(this.root, 'tmp', `${path.basename(target)}.${crypto.randomBytes(4).toString('hex')}`);
+    const out = fs.createWriteStream(staged, { mode: 0o600 });
+    try {
+      await pipeline(...streams, out);
+      await syncPath(staged);
+      await fs.promises.rename(staged, target);
+      await syncPath(path.dirname(target));
+    } catch (err) {
+      await fs.promises.rm(staged, { force: true }).catch(() => {});
+      throw err;
+    }
+    return out.bytesWritten;
+  }
+
+  async _saveRecord(state, record) {
+    await this._commit(this.recordPath(state, record.id), [[JSON.stringify(record, null, 2)]]);
+  }
+
+  /**
+   * Stream a payload through `streams` into the queue and commit a job for
+   * it. `describe(id, bytes)` is called once the payload is on disk, so it
+   * can use what the streams observed (headers, sizes) and the stored size,
+   * and returns the job fields,
+   * or null to discard the payload. Resolves with the stored record once
+   * both are durable, or null if discarded.
+   */
+  async enqueue(streams, describe) {
+    const id = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+    const bytes = await this._commit(this.payloadPath('queue', id), streams);
+    try {
+      const fields = await describe(id, bytes);
+      if (!fields) {
+        await fs.promises.rm(this.payloadPath('queue', id), { force: true });
+        return null;
+      }
+      const now = new Date().toISOString();
+      const record = { ...fields, id, bytes, attempts: 0, last_error: null, created_at: now, next_attempt_at: now };
+      await this._saveRecord('queue', record);
+      return record;
+    } catch (err) {
+      await fs.promises.rm(this.payloadPath('queue', id), { force: true }).catch(() => {});
+      throw err;
+    }
+  }
+
+  async get(state, id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(this.recordPath(state, id), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Records in `state`, oldest first
+   */
+  async list(state) {
+    const names = await fs.promises.readdir(path.join(this.root, state)).catch(() => []);
+    const records = [];
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const record = await this.get(state, name.slice(0, -'.json'.length));
+      if (record) records.push(record);
+    }
+    return records.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async save(record) {
+    await this._saveRecord('queue', record);
+  }
+
+  /**
+   * Swap a queued job's payload (e.g. a quarantined plaintext for its
+   * encrypted form) and save the updated record
+   */
+  async replacePayload(record, streams) {
+    record.bytes = await this._commit(this.payloadPath('queue', record.id), streams);
+    await this.save(record);
+  }
+
+  async complete(id) {
+    await fs.promises.rm(this.recordPath('queue', id), { force: true });
+    await fs.promises.rm(this.payloadPath('queue', id), { force: true });
+  }
+
+  async retry(record, error, delayMs) {
+    record.attempts += 1;
+    record.last_error = error.message;
+    record.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+    await this.save(record);
+  }
+
+  async deadLetter(record, error) {
+    record.last_error = error.message;
+    record.dead_at = new Date().toISOString();
+    await fs.promises.rename(this.payloadPath('queue', record.id), this.payloadPath('dead', record.id));
+    await this._saveRecord('dead', record);
+    await fs.promises.rm(this.recordPath('queue', record.id), { force: true });
+  }
+
+  /**
+   * Move a dead job back to the queue with a fresh retry budget
+   */
+  async replay(id) {
+    const record = await this.get('dead', id);
+    if (!record) return null;
+    await fs.promises.rename(this.payloadPath('dead', id), this.payloadPath('queue', id));
+    delete record.dead_at;
+    Object.assign(record, {
+      attempts: 0,
+      replayed_at: new Date().toISOString(),
+      next_attempt_at: new Date().toISOString(),
+    });
+    await this._saveRecord('queue', record);
+    await fs.promises.rm(this.recordPath('dead', id), { force: true });
+    return record;
+  }
+}
+
+export default Spool;
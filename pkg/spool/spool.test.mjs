@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { Spool } from './index.mjs';
+
+async function tempSpool(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const spool = new Spool(root);
+  await spool.init();
+  return { spool, root };
+}
+
+const files = (root, state) => fs.readdirSync(path.join(root, state)).sort();
+const payload = (text) => [Readable.from([Buffer.from(text)])];
+
+test('enqueue commits the payload and then its record', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  let described;
+  const record = await spool.enqueue(payload('hello world'), async (id, bytes) => {
+    described = { id, bytes, onDisk: fs.readFileSync(spool.payloadPath('queue', id), 'utf8'), queueFiles: files(root, 'queue') };
+    return { vaultbox: 'vb-1' };
+  });
+
+  assert.match(record.id, /^\d{13}-[0-9a-f]{16}$/);
+  assert.deepEqual(described, { id: record.id, bytes: 11, onDisk: 'hello world', queueFiles: [`${record.id}.msg`] });
+  assert.equal(record.vaultbox, 'vb-1');
+  assert.equal(record.bytes, 11);
+  assert.equal(record.attempts, 0);
+  assert.equal(record.next_attempt_at, record.created_at);
+  assert.deepEqual(files(root, 'queue'), [`${record.id}.json`, `${record.id}.msg`]);
+  assert.deepEqual(files(root, 'tmp'), []);
+  assert.deepEqual(await spool.get('queue', record.id), record);
+});
+
+test('the stored size is what the streams wrote, not what went in', async (t) => {
+  const { spool } = await tempSpool(t);
+  const double = new Transform({ transform: (chunk, _enc, callback) => callback(null, Buffer.concat([chunk, chunk])) });
+  const record = await spool.enqueue([Readable.from([Buffer.from('abc')]), double], async (id, bytes) => ({ seen: bytes }));
+  assert.equal(record.seen, 6);
+  assert.equal(fs.readFileSync(spool.payloadPath('queue', record.id), 'utf8'), 'abcabc');
+});
+
+test('describe returning null discards the job; throwing discards and rethrows', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  assert.equal(await spool.enqueue(payload('duplicate'), async () => null), null);
+  assert.deepEqual(files(root, 'queue'), []);
+
+  await assert.rejects(spool.enqueue(payload('x'), async () => { throw new Error('quota'); }), /quota/);
+  assert.deepEqual(files(root, 'queue'), []);
+});
+
+test('a failing stream leaves nothing behind', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  const failing = new Transform({ transform: (chunk, _enc, callback) => callback(new Error('too large')) });
+  let described = false;
+  await assert.rejects(spool.enqueue([Readable.from([Buffer.from('x')]), failing], async () => { described = true; return {}; }), /too large/);
+  assert.equal(described, false);
+  assert.deepEqual(files(root, 'queue'), []);
+  assert.deepEqual(files(root, 'tmp'), []);
+});
+
+test('complete removes the job', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  const record = await spool.enqueue(payload('x'), async () => ({}));
+  await spool.complete(record.id);
+  assert.deepEqual(files(root, 'queue'), []);
+  assert.equal(await spool.get('queue', record.id), null);
+});
+
+test('failures are retried, then dead-lettered with payload and record', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  const record = await spool.enqueue(payload('message'), async () => ({ vaultbox: 'vb-1' }));
+
+  const before = Date.now();
+  await spool.retry(record, new Error('store down'), 60000);
+  const retried = await spool.get('queue', record.id);
+  assert.equal(retried.attempts, 1);
+  assert.equal(retried.last_error, 'store down');
+  assert.ok(Date.parse(retried.next_attempt_at) >= before + 60000);
+
+  await spool.deadLetter(retried, new Error('gave up'));
+  assert.deepEqual(files(root, 'queue'), []);
+  assert.deepEqual(files(root, 'dead'), [`${record.id}.json`, `${record.id}.msg`]);
+  const dead = await spool.get('dead', record.id);
+  assert.equal(dead.last_error, 'gave up');
+  assert.equal(dead.attempts, 1);
+  assert.ok(dead.dead_at);
+  assert.deepEqual((await spool.list('dead')).map(({ id }) => id), [record.id]);
+  assert.deepEqual(await spool.list('queue'), []);
+});
+
+test('replay moves a dead job back with a fresh retry budget', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  const record = await spool.enqueue(payload('message'), async () => ({ vaultbox: 'vb-1' }));
+  await spool.retry(record, new Error('store down'), 0);
+  await spool.deadLetter(record, new Error('gave up'));
+
+  const replayed = await spool.replay(record.id);
+  assert.equal(replayed.attempts, 0);
+  assert.equal(replayed.dead_at, undefined);
+  assert.ok(replayed.replayed_at);
+  assert.equal(replayed.vaultbox, 'vb-1');
+  assert.deepEqual(files(root, 'dead'), []);
+  assert.deepEqual(await spool.get('queue', record.id), replayed);
+  assert.equal(fs.readFileSync(spool.payloadPath('queue', record.id), 'utf8'), 'message');
+
+  assert.equal(await spool.replay(record.id), null);
+});
+
+test('ids that are not job ids are never read', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  fs.writeFileSync(path.join(root, 'secret.json'), '{"id":"x"}');
+  assert.equal(await spool.get('queue', '../secret'), null);
+  assert.equal(await spool.replay('../secret'), null);
+});
+
+test('list returns queued records oldest first and skips payloads without a record', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  const first = await spool.enqueue(payload('1'), async () => ({}));
+  const second = await spool.enqueue(payload('2'), async () => ({}));
+  second.created_at = '2000-01-01T00:00:00.000Z';
+  await spool.save(second);
+  // An enqueue interrupted between payload and record
+  fs.writeFileSync(path.join(root, 'queue', '1700000000000-0123456789abcdef.msg'), 'orphan');
+  assert.deepEqual((await spool.list('queue')).map(({ id }) => id), [second.id, first.id]);
+});
+
+test('init empties tmp/, where only unacknowledged files can be', async (t) => {
+  const { spool, root } = await tempSpool(t);
+  fs.writeFileSync(path.join(root, 'tmp', 'half-written.msg.0a0b0c0d'), 'partial');
+  await spool.init();
+  assert.deepEqual(files(root, 'tmp'), []);
+});
+
+test('replacePayload swaps the payload and records its size', async (t) => {
+  const { spool } = await tempSpool(t);
+  const record = await spool.enqueue(payload('plaintext'), async () => ({ quarantined: true }));
+  record.quarantined = false;
+  await spool.replacePayload(record, payload('encrypted form'));
+  const saved = await spool.get('queue', record.id);
+  assert.equal(saved.bytes, 14);
+  assert.equal(saved.quarantined, false);
+  assert.equal(fs.readFileSync(spool.payloadPath('queue', record.id), 'utf8'), 'encrypted form');
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+// Postfix pipe(8) client for intake: streams the message from stdin to
+// intake and turns its answer into the exit status Postfix acts on
+// (0 delivered, 75 deferred, other sysexits bounce).
+//
+// master.cf:
+//   encimap-pipe unix - n n - - pipe
+//     flags=R user=encimap argv=/usr/local/bin/encimap-pipe -f ${sender}
+//       -c ${client_address} -h ${client_helo} -s ${size} ${nexthop} ${recipient}
+//
+// The transport map entry `alias@domain encimap-pipe:<vaultbox_id>` makes
+// ${nexthop} the vaultbox id. Any other nexthop (e.g. the domain, for a bare
+// `encimap-pipe:` route) lets intake resolve the vaultboxes from the
+// recipients. The envelope (-f sender, recipients) is passed on as
+// mail_from and rcpt_to, the sending client (-c, -h) for intake's SPF check
+// as client_address and helo. The body is streamed without a Content-Length,
+// so -s passes Postfix's size estimate as size for the quota pre-check.
+
+import { sysexitFor } from '../pkg/dsn/index.mjs';
+
+const INTAKE_URL = process.env.ENCIMAP_INTAKE_URL || 'http://127.0.0.1:4321';
+const TIMEOUT_MS = Number(process.env.ENCIMAP_PIPE_TIMEOUT_MS || 120000);
+
+// Postfix reports the first output line; a leading RFC 3463 code replaces
+// the generic status it would derive from the exit code
+function finish(enhancedCode, text) {
+  process.stdout.write(`${enhancedCode} ${text}\n`, () => process.exit(sysexitFor(enhancedCode)));
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const options = {};
+  while (['-f', '-c', '-h', '-s'].includes(args[0])) {
+    options[args[0]] = args[1] ?? '';
+    args.splice(0, 2);
+  }
+  const sender = options['-f'] ?? null;
+  const [nexthop, ...recipients] = args;
+  if (!nexthop || (!UUID_PATTERN.test(nexthop) && recipients.length === 0)) {
+    return finish('4.3.5', 'usage: encimap-pipe [-f sender] [-c client_address] [-h client_helo] [-s size] <vaultbox_id|nexthop> [recipient...]');
+  }
+
+  const query = new URLSearchParams();
+  if (UUID_PATTERN.test(nexthop)) query.set('vaultbox_id', nexthop);
+  if (sender !== null) query.set('mail_from', sender);
+  if (options['-c']) query.set('client_address', options['-c']);
+  if (options['-h']) query.set('helo', options['-h']);
+  if (/^\d+$/.test(options['-s'] ?? '')) query.set('size', options['-s']);
+  for (const recipient of recipients) query.append('rcpt_to', recipient);
+
+  let response;
+  try {
+    response = await fetch(`${INTAKE_URL}/intake/test?${query}`, {
+      method: 'POST',
+      headers: { 'content-type': 'message/rfc822' },
+      body: process.stdin,
+      duplex: 'half',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (error) {
+    return finish('4.4.1', `intake unreachable: ${error.cause?.code || error.cause?.message || error.message}`);
+  }
+
+  const result = await response.json().catch(() => null);
+  if (!result || !result.enhanced_code) {
+    return finish('4.3.0', `unexpected intake response (HTTP ${response.status})`);
+  }
+  return finish(result.enhanced_code, result.message || result.error);
+}
+
+main().catch((error) => finish('4.3.0', error.message));
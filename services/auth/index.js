@@ -0,0 +1,139 @@
+import http from 'http';
+import express from 'express';
+import bcrypt from 'bcrypt';
+import { Pool } from 'pg';
+import { createDictServer } from '../../pkg/dict/index.mjs';
+import { listen } from '../../pkg/listen/index.mjs';
+
+// Dovecot authentication for IMAP logins against imap_app_credentials:
+//   dict proxy socket   passdb/userdb `driver = dict`; Dovecot checks the
+//                       bcrypt hash itself (BLF-CRYPT)
+//   HTTP (loopback)     POST /dovecot/passdb verifies the password here,
+//                       GET /dovecot/userdb/:user, for Lua or checkpassword
+//                       glue
+// Both give the same userdb fields: the Maildir home (the vaultbox id for
+// encrypted mailboxes, the username for simple ones), the storage quota and,
+// for a vaultbox that is not active, a refused login.
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const MAILDIR_ROOT = process.env.MAILDIR_ROOT || '/var/mail/vaultboxes';
+// "host:port", "port" or a unix socket path; set empty to disable
+const DICT_LISTEN = process.env.AUTH_DICT_LISTEN ?? '/run/encimap/auth-dict.sock';
+const HTTP_LISTEN = process.env.AUTH_HTTP_LISTEN ?? '127.0.0.1:4331';
+// Owner of the Maildirs, as Dovecot should access them; omitted if unset
+const MAIL_UID = process.env.AUTH_MAIL_UID || '';
+const MAIL_GID = process.env.AUTH_MAIL_GID || '';
+// Same default as intake: limits.storage_quota_bytes, else this (0 = none)
+const VAULTBOX_QUOTA_BYTES = Number(process.env.INTAKE_VAULTBOX_QUOTA_BYTES || 0);
+const pool = new Pool({ connectionString: DATABASE_URL });
+
+// Compared against when the user does not exist, so a login takes as long
+// either way
+const DUMMY_HASH = bcrypt.hashSync('encimap-auth-dummy', 12);
+
+async function findCredential(username) {
+  const r = await pool.query(
+    `SELECT c.username, c.password_hash, v.id AS vaultbox_id, v.mailbox_type, v.status, v.limits
+     FROM imap_app_credentials c JOIN vaultboxes v ON v.id = c.vaultbox_id
+     WHERE lower(c.username) = lower($1) AND c.revoked_at IS NULL
+     ORDER BY c.created_at DESC LIMIT 1`,
+    [username]
+  );
+  return r.rows[0] || null;
+}
+
+function isSuspended(credential) {
+  return !!credential.status && credential.status !== 'active';
+}
+
+// userdb fields (dovecot userdb extra fields)
+function userdbFields(credential) {
+  const simple = credential.mailbox_type === 'simple';
+  const fields = {
+    home: `${MAILDIR_ROOT}/${simple ? credential.username : credential.vaultbox_id}`,
+    mail: 'maildir:~/Maildir',
+  };
+  if (MAIL_UID) fields.uid = MAIL_UID;
+  if (MAIL_GID) fields.gid = MAIL_GID;
+  const own = Number(credential.limits?.storage_quota_bytes);
+  const quotaBytes = own > 0 ? own : VAULTBOX_QUOTA_BYTES;
+  if (quotaBytes > 0) fields.quota_rule = `*:bytes=${quotaBytes}`;
+  return fields;
+}
+
+// passdb fields: the hash for Dovecot to check, and nologin for a suspended
+// vaultbox (the reason is shown to the client)
+function passdbFields(credential) {
+  const fields = { password: `{BLF-CRYPT}${credential.password_hash}` };
+  if (isSuspended(credential)) {
+    fields.nologin = 'y';
+    fields.reason = 'Mailbox is suspended';
+  }
+  return fields;
+}
+
+// ====================================================================
+// DICT
+// ====================================================================
+
+// Keys as the dict proxy sends them: shared/passdb/<user>, shared/userdb/<user>
+async function dictLookup(key) {
+  const m = /^shared\/(passdb|userdb)\/(.+)$/.exec(key);
+  if (!m) return null;
+  const credential = await findCredential(m[2]);
+  if (!credential || !credential.password_hash) return null;
+  return JSON.stringify(m[1] === 'passdb' ? passdbFields(credential) : userdbFields(credential));
+}
+
+const dictServer = createDictServer({
+  onLookup: dictLookup,
+  onError: (error, key) => console.error(`[encimap-auth] Dict lookup ${key} failed:`, error.message),
+});
+
+// ====================================================================
+// HTTP
+// ====================================================================
+
+const app = express();
+app.use(express.json({ limit: '16kb' }));
+
+app.post('/dovecot/passdb', async (req, res) => {
+  try {
+    const { user, password } = req.body || {};
+    if (typeof user !== 'string' || typeof password !== 'string' || !user) {
+      return res.status(400).json({ ok: false, error: 'user and password are required' });
+    }
+    const credential = await findCredential(user);
+    const valid = await bcrypt.compare(password, credential?.password_hash || DUMMY_HASH);
+    if (!credential || !credential.password_hash || !valid) {
+      return res.status(401).json({ ok: false, error: 'invalid credentials' });
+    }
+    if (isSuspended(credential)) {
+      return res.status(403).json({ ok: false, error: 'mailbox suspended', reason: 'Mailbox is suspended' });
+    }
+    res.json({ ok: true, user: credential.username, vaultbox_id: credential.vaultbox_id, userdb: userdbFields(credential) });
+  } catch (error) {
+    console.error('[encimap-auth] Passdb error:', error);
+    res.status(503).json({ ok: false, error: 'authentication backend unavailable' });
+  }
+});
+
+app.get('/dovecot/userdb/:user', async (req, res) => {
+  try {
+    const credential = await findCredential(req.params.user);
+    if (!credential) return res.status(404).json({ ok: false, error: 'unknown user' });
+    res.json({ ok: true, user: credential.username, vaultbox_id: credential.vaultbox_id, userdb: userdbFields(credential) });
+  } catch (error) {
+    console.error('[encimap-auth] Userdb error:', error);
+    res.status(503).json({ ok: false, error: 'authentication backend unavailable' });
+  }
+});
+
+if (DICT_LISTEN) {
+  await listen(dictServer, DICT_LISTEN);
+  console.log(`[encimap-auth] dict listening on ${DICT_LISTEN}`);
+}
+if (HTTP_LISTEN) {
+  await listen(http.createServer(app), HTTP_LISTEN);
+  console.log(`[encimap-auth] HTTP listening on ${HTTP_LISTEN}`);
+}
@@ -0,0 +1,65 @@
+/**
+ * Dedup Service
+ *
+ * Keeps intake idempotent: a message is identified per vaultbox by its
+ * Message-ID and the SHA-256 of its plaintext, stored only as an HMAC under
+ * a local secret. The first delivery claims the key; the same message
+ * arriving again within the window is reported as a duplicate.
+ */
+
+import crypto from 'crypto';
+
+export class DedupService {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.secret = options.secret;
+    this.windowSeconds = options.windowSeconds || 0;
+  }
+
+  get enabled() {
+    return this.windowSeconds > 0 && !!this.secret;
+  }
+
+  key(vaultboxId, messageId, contentDigest) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${vaultboxId}\0${messageId || ''}\0`)
+      .update(contentDigest)
+      .digest();
+  }
+
+  /**
+   * Claim a key for spool job `spoolId`; false if another delivery holds it
+   * within the window (an expired claim is taken over)
+   */
+  async claim(vaultboxId, key, spoolId) {
+    const r = await this.storage.query(
+      `INSERT INTO intake_dedup (vaultbox_id, dedup_key, spool_id) VALUES ($1, $2, $3)
+       ON CONFLICT (vaultbox_id, dedup_key) DO UPDATE SET spool_id = EXCLUDED.spool_id, created_at = now()
+         WHERE intake_dedup.created_at < now() - make_interval(secs => $4)
+       RETURNING spool_id`,
+      [vaultboxId, key, spoolId, this.windowSeconds]
+    );
+    return r.rows.length > 0;
+  }
+
+  /**
+   * Give a claim back when its message could not be accepted after all, so
+   * the sender's retry is not mistaken for a duplicate
+   */
+  async release(vaultboxId, key, spoolId) {
+    await this.storage.query(
+      'DELETE FROM intake_dedup WHERE vaultbox_id = $1 AND dedup_key = $2 AND spool_id = $3',
+      [vaultboxId, key, spoolId]
+    );
+  }
+
+  async prune() {
+    const r = await this.storage.query(
+      'DELETE FROM intake_dedup WHERE created_at < now() - make_interval(secs => $1)',
+      [this.windowSeconds]
+    );
+    return r.rowCount;
+  }
+}
+
+export default DedupService;
@@ -0,0 +1,240 @@
+/**
+ * Issuing CA Service
+ * 
+ * Maintains one S/MIME issuing CA per domain and signs vaultbox encryption
+ * certificates over a client-supplied CSR or public key. Only public
+ * certificates leave this service; CA private keys are stored as encrypted
+ * PKCS#8 and unlocked with CA_KEY_PASSPHRASE.
+ */
+
+import crypto from 'crypto';
+import { createIssuingCA, issueRecipientCertificate, parseCsr } from '../../pkg/crypto/ca.mjs';
+import { certFingerprint, inspectCertificate } from '../../pkg/crypto/x509.mjs';
+
+/**
+ * vaultbox_certs row for a certificate (metadata from inspectCertificate)
+ */
+export function certificateRecord(vaultboxId, label, pem, metadata) {
+  return {
+    vaultbox_id: vaultboxId,
+    label: label || null,
+    public_cert_pem: pem,
+    fingerprint_sha256: metadata.fingerprint,
+    subject: metadata.subject,
+    issuer: metadata.issuer,
+    serial_number: metadata.serial_number,
+    not_before: metadata.not_before,
+    not_after: metadata.not_after,
+    key_type: metadata.key_type
+  };
+}
+
+export class IssuingCaService {
+  constructor(storageAdapter, options = {}) {
+    this.storage = storageAdapter;
+    this.passphrase = options.passphrase || null;
+    this.caValidityDays = options.caValidityDays || 3650;
+    this.organization = options.organization || 'Motorical Encrypted IMAP';
+  }
+
+  /**
+   * Issuance needs the passphrase protecting CA private keys
+   */
+  isConfigured() {
+    return !!this.passphrase;
+  }
+
+  /**
+   * All CAs of a domain, active first, without private keys
+   */
+  async listCAs(domain) {
+    const result = await this.storage.query(
+      `SELECT id, domain, cert_pem, fingerprint_sha256, not_after, status, created_at, retired_at
+       FROM issuing_cas WHERE domain = $1
+       ORDER BY (status = 'active') DESC, created_at DESC`,
+      [String(domain).toLowerCase()]
+    );
+    return result.rows;
+  }
+
+  async getActiveCA(domain) {
+    const result = await this.storage.query(
+      `SELECT * FROM issuing_cas WHERE domain = $1 AND status = 'active' LIMIT 1`,
+      [String(domain).toLowerCase()]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the domain's active CA, creating it on first use
+   */
+  async ensureCA(domain, userId) {
+    const existing = await this.getActiveCA(domain);
+    if (existing) return existing;
+
+    try {
+      return await this._createCA(String(domain).toLowerCase(), userId);
+    } catch (error) {
+      // A concurrent request may have created it first (unique active CA per domain)
+      const created = await this.getActiveCA(domain);
+      if (created) return created;
+      throw new Error(`Failed to create issuing CA for ${domain}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public key to certify, from a PKCS#10 CSR (signature checked) or a PEM public key
+   */
+  resolvePublicKey({ csrPem, publicKeyPem }) {
+    if (csrPem) return parseCsr(csrPem).publicKey;
+    return crypto.createPublicKey(publicKeyPem);
+  }
+
+  /**
+   * Issue an encryption certificate for the vaultbox address
+   */
+  async issueForVaultbox(vaultbox, publicKey, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('CA_KEY_PASSPHRASE is not set');
+    }
+
+    const ca = await this.ensureCA(vaultbox.domain, vaultbox.user_id);
+    const email = `${vaultbox.alias}@${vaultbox.domain}`.toLowerCase();
+    const certificatePem = issueRecipientCertificate({
+      caCertificatePem: ca.cert_pem,
+      caPrivateKey: this._unlock(ca),
+      publicKey,
+      email,
+      days: options.days
+    });
+
+    console.log(`[IssuingCA] Issued certificate for ${email} from CA ${ca.id}`);
+    return { certificatePem, ca };
+  }
+
+  /**
+   * Replace the domain's CA and re-issue every usable certificate it signed
+   * over the same public key. The old certificates keep receiving mail for
+   * `graceDays` so clients can install the re-issued ones.
+   */
+  async rotateCA(domain, userId, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('CA_KEY_PASSPHRASE is not set');
+    }
+
+    const domainLower = String(domain).toLowerCase();
+    const graceDays = options.graceDays ?? 7;
+    const generated = this._generateCA(domainLower);
+
+    const outcome = await this.storage.transaction(async (tx) => {
+      const previous = (await tx.query(
+        `SELECT id FROM issuing_cas WHERE domain = $1 AND status = 'active' FOR UPDATE`,
+        [domainLower]
+      )).rows[0] || null;
+      if (previous) {
+        await tx.query(`UPDATE issuing_cas SET status = 'retired', retired_at = now() WHERE id = $1`, [previous.id]);
+      }
+
+      const ca = (await tx.insert('issuing_cas', this._caRecord(domainLower, userId, generated), { returning: ['*'] })).record;
+      if (!previous) return { ca, previousId: null, reissued: [], skipped: [] };
+
+      const certs = (await tx.query(
+        `SELECT c.id, c.vaultbox_id, c.label, c.public_cert_pem, c.not_after, v.alias, v.domain
+         FROM vaultbox_certs c JOIN vaultboxes v ON v.id = c.vaultbox_id
+         WHERE c.issuing_ca_id = $1 AND c.active AND (c.retire_at IS NULL OR c.retire_at > now())`,
+        [previous.id]
+      )).rows;
+
+      const reissued = [];
+      const skipped = [];
+      for (const cert of certs) {
+        const remainingDays = Math.ceil((new Date(cert.not_after).getTime() - Date.now()) / 86400000);
+        if (!cert.alias || remainingDays < 1) {
+          skipped.push({ cert_id: cert.id, vaultbox_id: cert.vaultbox_id, reason: cert.alias ? 'expired' : 'no address' });
+          continue;
+        }
+
+        // Same key pair and expiry, new issuer
+        const pem = issueRecipientCertificate({
+          caCertificatePem: generated.certificatePem,
+          caPrivateKey: generated.privateKey,
+          publicKey: new crypto.X509Certificate(cert.public_cert_pem).publicKey,
+          email: `${cert.alias}@${cert.domain}`.toLowerCase(),
+          days: remainingDays
+        });
+        const created = await tx.insert('vaultbox_certs', {
+          ...certificateRecord(cert.vaultbox_id, cert.label, pem, inspectCertificate(pem)),
+          issuing_ca_id: ca.id
+        });
+        await tx.query(
+          `UPDATE vaultbox_certs SET retire_at = now() + make_interval(days => $3::int), replaced_by = $2 WHERE id = $1`,
+          [cert.id, created.id, graceDays]
+        );
+        reissued.push({ vaultbox_id: cert.vaultbox_id, old_cert_id: cert.id, new_cert_id: created.id });
+      }
+      return { ca, previousId: previous.id, reissued, skipped };
+    });
+
+    console.log(`[IssuingCA] Rotated CA for ${domainLower}: ${outcome.previousId || '(none)'} -> ${outcome.ca.id}, re-issued ${outcome.reissued.length}, skipped ${outcome.skipped.length}`);
+    return outcome;
+  }
+
+  /**
+   * The domain CA (active or retired) that signed a certificate, if any.
+   * Used to ship the chain alongside issued certificates.
+   */
+  async findIssuer(certPem) {
+    const cert = new crypto.X509Certificate(certPem);
+    const domains = [...new Set(inspectCertificate(certPem).emails.map((e) => e.split('@')[1]))];
+    if (domains.length === 0) return null;
+
+    const result = await this.storage.query(
+      `SELECT id, domain, cert_pem, status FROM issuing_cas WHERE domain = ANY($1::text[])`,
+      [domains]
+    );
+    return result.rows.find((ca) => {
+      const caCert = new crypto.X509Certificate(ca.cert_pem);
+      return cert.checkIssued(caCert) && cert.verify(caCert.publicKey);
+    }) || null;
+  }
+
+  async _createCA(domain, userId) {
+    const generated = this._generateCA(domain);
+    const result = await this.storage.insert('issuing_cas', this._caRecord(domain, userId, generated), { returning: ['*'] });
+
+    console.log(`[IssuingCA] Created issuing CA for ${domain}: ${result.id}`);
+    return result.record;
+  }
+
+  _generateCA(domain) {
+    return createIssuingCA({
+      commonName: `${domain} S/MIME Issuing CA`,
+      organization: this.organization,
+      days: this.caValidityDays
+    });
+  }
+
+  _caRecord(domain, userId, { certificatePem, privateKey }) {
+    const cert = new crypto.X509Certificate(certificatePem);
+    return {
+      domain,
+      user_id: userId,
+      cert_pem: certificatePem,
+      private_key_pem: privateKey.export({
+        type: 'pkcs8',
+        format: 'pem',
+        cipher: 'aes-256-cbc',
+        passphrase: this.passphrase
+      }),
+      fingerprint_sha256: certFingerprint(cert),
+      not_after: new Date(cert.validTo),
+      status: 'active'
+    };
+  }
+
+  _unlock(ca) {
+    return crypto.createPrivateKey({ key: ca.private_key_pem, passphrase: this.passphrase });
+  }
+}
+
+export default IssuingCaService;
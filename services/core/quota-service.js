@@ -0,0 +1,197 @@
+/**
+ * Quota Service
+ *
+ * Quota checks and metering for intake. A vaultbox may carry its own
+ * storage quota (limits.storage_quota_bytes, else the configured default);
+ * every user is bound by the plan's storage_gb and messages_per_month
+ * through the user adapter. The monthly message cap is either enforced
+ * (hard) or only reported (soft). Deliveries crossing a warning threshold
+ * are recorded in quota_events.
+ *
+ * Stored usage only counts delivered messages, so messages accepted into the
+ * spool are reserved here until they are delivered; concurrent deliveries
+ * then see each other.
+ */
+
+const GIB = 1024 * 1024 * 1024;
+
+// RFC 3463 X.2.2: mailbox full
+const OVER_QUOTA = {
+  temporary: { smtp_code: 452, enhanced_code: '4.2.2' },
+  permanent: { smtp_code: 552, enhanced_code: '5.2.2' },
+};
+
+export class QuotaService {
+  constructor(storage, userAdapter, options = {}) {
+    this.storage = storage;
+    this.user = userAdapter || null;
+    this.vaultboxQuotaBytes = options.vaultboxQuotaBytes || 0;
+    this.warnThresholds = [...(options.warnThresholds || [80, 95])].sort((a, b) => a - b);
+    this.tempfail = !!options.tempfail;
+    this.messageLimitPolicy = options.messageLimitPolicy === 'hard' ? 'hard' : 'soft';
+    // Reserved bytes by spool job id: { vaultboxId, userId, bytes }
+    this.reserved = new Map();
+  }
+
+  /**
+   * Used and allowed amount per scope (bytes; messages this period for
+   * `messages`); a scope without a limit is null.
+   * A failing plan lookup leaves the user scope unchecked rather than
+   * refusing mail.
+   */
+  async usage(vaultbox) {
+    const result = { vaultbox: null, user: null, messages: null };
+
+    const own = Number(vaultbox.limits?.storage_quota_bytes);
+    const vaultboxLimit = own > 0 ? own : this.vaultboxQuotaBytes;
+    if (vaultboxLimit > 0) {
+      const r = await this.storage.query(
+        'SELECT COALESCE(SUM(size_bytes), 0)::bigint AS used FROM messages WHERE vaultbox_id = $1',
+        [vaultbox.id]
+      );
+      result.vaultbox = { used: Number(r.rows[0].used), limit: vaultboxLimit };
+    }
+
+    if (this.user) {
+      try {
+        const limits = await this.user.getQuotaLimits(vaultbox.user_id);
+        const usage = await this.user.getUsage(vaultbox.user_id);
+        if (typeof limits.storage_gb === 'number') {
+          result.user = { used: usage.storage_used_bytes, limit: Math.floor(limits.storage_gb * GIB) };
+        }
+        if (typeof limits.messages_per_month === 'number') {
+          result.messages = { used: usage.period_usage.messages_this_month, limit: limits.messages_per_month };
+        }
+      } catch (error) {
+        console.warn(`[Quota] Could not resolve quota for user ${vaultbox.user_id}: ${error.message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Whether a message of `incomingBytes` fits. Over quota is temporary
+   * (452 4.2.2) when configured so, except for a message larger than the
+   * whole quota, which can never be delivered (552 5.2.2).
+   */
+  check(usage, incomingBytes = 0) {
+    for (const scope of ['vaultbox', 'user']) {
+      const quota = usage[scope];
+      if (!quota || quota.used + incomingBytes <= quota.limit) continue;
+      const temporary = this.tempfail && incomingBytes <= quota.limit;
+      return {
+        ok: false,
+        error: 'over_quota',
+        scope,
+        used_bytes: quota.used,
+        limit_bytes: quota.limit,
+        temporary,
+        ...OVER_QUOTA[temporary ? 'temporary' : 'permanent'],
+      };
+    }
+
+    const messages = usage.messages;
+    if (this.messageLimitPolicy === 'hard' && messages && messages.used >= messages.limit) {
+      return {
+        ok: false,
+        error: 'message_limit_exceeded',
+        scope: 'messages',
+        used_messages: messages.used,
+        limit_messages: messages.limit,
+        temporary: this.tempfail,
+        ...OVER_QUOTA[this.tempfail ? 'temporary' : 'permanent'],
+      };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * `usage` with the bytes reserved for undelivered messages added to the
+   * vaultbox and user scopes
+   */
+  withReserved(vaultbox, usage) {
+    let vaultboxBytes = 0;
+    let userBytes = 0;
+    for (const { vaultboxId, userId, bytes } of this.reserved.values()) {
+      if (vaultboxId === vaultbox.id) vaultboxBytes += bytes;
+      if (userId && userId === vaultbox.user_id) userBytes += bytes;
+    }
+    const add = (quota, bytes) => (quota ? { ...quota, used: quota.used + bytes } : null);
+    return { ...usage, vaultbox: add(usage.vaultbox, vaultboxBytes), user: add(usage.user, userBytes) };
+  }
+
+  /**
+   * Bytes that still fit in every storage scope; Infinity without a limit
+   */
+  remaining(usage) {
+    const left = ['vaultbox', 'user']
+      .filter((scope) => usage[scope])
+      .map((scope) => Math.max(usage[scope].limit - usage[scope].used, 0));
+    return Math.min(Infinity, ...left);
+  }
+
+  /**
+   * Check a message of `bytes` against `usage` and what is reserved, and
+   * reserve it under `id` if it fits. Check and reservation happen in one
+   * step, so of two concurrent deliveries only one can take the last bytes.
+   */
+  admit(vaultbox, usage, id, bytes) {
+    const verdict = this.check(this.withReserved(vaultbox, usage), bytes);
+    if (verdict.ok) this.reserve(vaultbox, id, bytes);
+    return verdict;
+  }
+
+  /**
+   * Reserve without checking, for a message already in the spool
+   */
+  reserve(vaultbox, id, bytes) {
+    this.reserved.set(id, { vaultboxId: vaultbox.id, userId: vaultbox.user_id, bytes });
+  }
+
+  isReserved(id) {
+    return this.reserved.has(id);
+  }
+
+  /**
+   * Drop a reservation once the message is delivered (and counted in
+   * stored usage) or given up
+   */
+  release(id) {
+    this.reserved.delete(id);
+  }
+
+  /**
+   * Meter an accepted message against the current billing period
+   */
+  async meter(vaultbox, bytes) {
+    if (!this.user) return;
+    await this.user.updateUsage(vaultbox.user_id, { messages_received: 1, bytes_received: bytes });
+  }
+
+  /**
+   * Record a warning for the highest threshold this delivery crossed; for
+   * the message cap, reaching 100% under the soft policy is recorded too
+   */
+  async recordDelivery(vaultbox, usage, bytes) {
+    for (const scope of ['vaultbox', 'user', 'messages']) {
+      const quota = usage[scope];
+      if (!quota || !(quota.limit > 0)) continue;
+      const added = scope === 'messages' ? 1 : bytes;
+      const thresholds = scope === 'messages' ? [...this.warnThresholds, 100] : this.warnThresholds;
+      const before = (quota.used / quota.limit) * 100;
+      const after = ((quota.used + added) / quota.limit) * 100;
+      const crossed = thresholds.filter((t) => before < t && after >= t).pop();
+      if (crossed === undefined) continue;
+
+      const unit = scope === 'messages' ? 'messages' : 'bytes';
+      console.warn(`[Quota] ${scope} quota of vaultbox ${vaultbox.id} reached ${crossed}% (${quota.used + added}/${quota.limit} ${unit})`);
+      await this.storage.query(
+        `INSERT INTO quota_events (user_id, vaultbox_id, scope, threshold_percent, used_bytes, limit_bytes)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [vaultbox.user_id, vaultbox.id, scope, crossed, quota.used + added, quota.limit]
+      );
+    }
+  }
+}
+
+export default QuotaService;
@@ -0,0 +1,184 @@
+/**
+ * Retention Service
+ *
+ * Purges messages older than a vaultbox's retention period: the `messages`
+ * rows and the delivered Maildir files (new/ and cur/, including IMAP
+ * folders). Retention is set per vaultbox (limits.retention_days) and capped
+ * by the plan's retention_days_max; every purge is recorded in
+ * retention_purges.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { locateMessage, messageFiles } from '../../pkg/maildir/index.mjs';
+
+const DAY_MS = 86400000;
+
+export class RetentionService {
+  constructor(storageAdapter, userAdapter, options = {}) {
+    this.storage = storageAdapter;
+    this.user = userAdapter;
+    this.maildirRoot = options.maildirRoot || '/var/mail/vaultboxes';
+    this.batchSize = options.batchSize || 500;
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Effective retention for a vaultbox: its own setting bounded by the plan
+   * maximum, the plan maximum when unset, or null (keep everything) when the
+   * plan sets no positive maximum and the vaultbox none either
+   */
+  async policy(vaultbox) {
+    const limits = await this.user.getQuotaLimits(vaultbox.user_id);
+    const planMax = limits.retention_days_max > 0 ? limits.retention_days_max : null;
+    const configured = vaultbox.limits?.retention_days ?? null;
+    let days = configured ?? planMax;
+    if (days !== null && planMax !== null) days = Math.min(days, planMax);
+    return { retention_days: days, configured_days: configured, plan_max_days: planMax };
+  }
+
+  /**
+   * What a purge would remove now, without deleting anything
+   */
+  async report(vaultbox) {
+    const policy = await this.policy(vaultbox);
+    const result = { vaultbox_id: vaultbox.id, ...policy, cutoff: null, messages: 0, files: 0, bytes: 0, oldest: null };
+    if (policy.retention_days === null) return result;
+
+    const cutoff = new Date(Date.now() - policy.retention_days * DAY_MS);
+    const rows = await this.storage.query(
+      `SELECT COUNT(*)::int AS messages, MIN(received_at) AS oldest
+       FROM messages WHERE vaultbox_id = $1 AND received_at < $2`,
+      [vaultbox.id, cutoff]
+    );
+    result.cutoff = cutoff;
+    result.messages = rows.rows[0]?.messages || 0;
+    result.oldest = rows.rows[0]?.oldest || null;
+    for await (const file of messageFiles(this.maildirRoot, vaultbox.id)) {
+      if (file.mtime < cutoff) {
+        result.files++;
+        result.bytes += file.size;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Delete expired rows and files of one vaultbox and record the purge.
+   * Files go first so an interrupted purge never leaves mail visible over
+   * IMAP without its row.
+   */
+  async purge(vaultbox) {
+    const policy = await this.policy(vaultbox);
+    if (policy.retention_days === null) return null;
+
+    const cutoff = new Date(Date.now() - policy.retention_days * DAY_MS);
+    const maildir = path.resolve(this.maildirRoot, String(vaultbox.id), 'Maildir');
+    const messageIds = [];
+    let filesDeleted = 0;
+    let bytesDeleted = 0;
+
+    const removeFile = async (file, size) => {
+      await fs.promises.rm(file, { force: true });
+      filesDeleted++;
+      bytesDeleted += size;
+    };
+
+    for (;;) {
+      const batch = await this.storage.query(
+        `SELECT id, storage FROM messages
+         WHERE vaultbox_id = $1 AND received_at < $2
+         ORDER BY received_at ASC
+         LIMIT $3`,
+        [vaultbox.id, cutoff, this.batchSize]
+      );
+      if (batch.rows.length === 0) break;
+
+      for (const row of batch.rows) {
+        const stored = row.storage && row.storage.maildir_path;
+        const resolved = stored ? path.resolve(stored) : null;
+        const file = resolved && resolved.startsWith(`${maildir}${path.sep}`) ? await locateMessage(resolved) : null;
+        if (file) {
+          const stat = await fs.promises.stat(file).catch(() => null);
+          await removeFile(file, stat ? stat.size : 0);
+        }
+      }
+      const ids = batch.rows.map((r) => r.id);
+      await this.storage.query('DELETE FROM messages WHERE id = ANY($1::uuid[])', [ids]);
+      messageIds.push(...ids);
+      if (batch.rows.length < this.batchSize) break;
+    }
+
+    // Files without a row: moved or appended over IMAP, welcome messages
+    for await (const file of messageFiles(this.maildirRoot, vaultbox.id)) {
+      if (file.mtime < cutoff) await removeFile(file.path, file.size);
+    }
+
+    const purge = {
+      vaultbox_id: vaultbox.id,
+      user_id: vaultbox.user_id,
+      retention_days: policy.retention_days,
+      cutoff,
+      messages_deleted: messageIds.length,
+      files_deleted: filesDeleted,
+      bytes_deleted: bytesDeleted,
+      message_ids: messageIds
+    };
+    if (messageIds.length > 0 || filesDeleted > 0) {
+      await this.storage.insert('retention_purges', purge);
+    }
+    return purge;
+  }
+
+  /**
+   * One pass over every encrypted vaultbox. A vaultbox whose plan cannot be
+   * resolved is skipped rather than purged under a default.
+   */
+  async run() {
+    if (this.running) return null;
+    this.running = true;
+    const summary = { vaultboxes: 0, messages_deleted: 0, files_deleted: 0, bytes_deleted: 0, errors: 0 };
+    try {
+      const vaultboxes = await this.storage.query(
+        `SELECT id, user_id, limits FROM vaultboxes
+         WHERE COALESCE(mailbox_type, 'encrypted') <> 'simple'`
+      );
+      for (const vaultbox of vaultboxes.rows) {
+        try {
+          const purge = await this.purge(vaultbox);
+          if (!purge) continue;
+          summary.vaultboxes++;
+          summary.messages_deleted += purge.messages_deleted;
+          summary.files_deleted += purge.files_deleted;
+          summary.bytes_deleted += purge.bytes_deleted;
+        } catch (error) {
+          summary.errors++;
+          console.error(`[Retention] Purge failed for vaultbox ${vaultbox.id}:`, error.message);
+        }
+      }
+      console.log(`[Retention] Purged ${summary.messages_deleted} messages and ${summary.files_deleted} files from ${summary.vaultboxes} vaultboxes (${summary.errors} errors)`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run periodically in this process; 0 disables the worker
+   */
+  start(intervalMs) {
+    if (!intervalMs || this.timer) return;
+    const tick = () => this.run().catch((error) => console.error('[Retention] Run failed:', error.message));
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+    setTimeout(tick, Math.min(intervalMs, 60000)).unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default RetentionService;
@@ -1,143 +1,426 @@
 import express from 'express';
+import crypto from 'crypto';
 import fs from 'fs';
-import path from 'path';
 import os from 'os';
-import { execFile } from 'child_process';
+import path from 'path';
+import { Transform, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
 import { Pool } from 'pg';
+import { createEncryptStream, encryptCMS, certFingerprint, resolveProfile } from '../../pkg/crypto/smime.mjs';
+import { writeMessageStream } from '../../pkg/maildir/index.mjs';
+import {
+  AttachmentScanner, extractIndexMetadata, sensitiveHeaders, resolveIndexFields,
+} from '../../pkg/metadata/index.mjs';
+import {
+  parseHeaderBlock, headerValue, parseAddressList, originatorFields, addressDomain, addressLocalPart, splitSubaddress,
+} from '../../pkg/headers/index.mjs';
+import { deliveryResult } from '../../pkg/dsn/index.mjs';
+import Spool from '../../pkg/spool/index.mjs';
+import { createLmtpServer } from '../../pkg/lmtp/index.mjs';
+import { listen } from '../../pkg/listen/index.mjs';
+import {
+  createResolver, MessageAuthenticator, AuthenticationResultsStream, formatAuthenticationResults, authenticationSummary,
+} from '../../pkg/mailauth/index.mjs';
+import QuotaService from '../core/quota-service.js';
+import DedupService from '../core/dedup-service.js';
+import { PostgreSQLStorageAdapter } from '../../adapters/implementations/postgresql-storage.js';
+import { MotoricaUserAdapter } from '../../adapters/implementations/motorical-user.js';
+import { PostfixMTAAdapter } from '../../adapters/implementations/postfix-mta.js';
+import { PostfixSocketmapMTAAdapter } from '../../adapters/implementations/postfix-socketmap-mta.js';
 
 const app = express();
 const PORT = process.env.INTAKE_PORT || 4321;
+// LMTP listener next to the HTTP endpoints: "host:port", "port" or a unix
+// socket path; unset to disable
+const LMTP_LISTEN = process.env.INTAKE_LMTP_LISTEN || '';
+const LMTP_HOSTNAME = process.env.INTAKE_LMTP_HOSTNAME || os.hostname();
 const MAILDIR_ROOT = process.env.MAILDIR_ROOT || '/var/mail/vaultboxes';
 const DATABASE_URL = process.env.DATABASE_URL;
+// Default ceiling for a single inbound message; vaultboxes.limits.max_message_bytes overrides it
+const MAX_MESSAGE_BYTES = Number(process.env.INTAKE_MAX_MESSAGE_BYTES || 25 * 1024 * 1024);
+// How much of the message start we keep in memory to parse headers
+const HEADER_CAPTURE_BYTES = 64 * 1024;
+// Metadata index defaults; vaultboxes.limits.index_fields / encrypt_envelope override them
+const INDEX_FIELDS = process.env.INTAKE_INDEX_FIELDS ? process.env.INTAKE_INDEX_FIELDS.split(',').map(f => f.trim()) : null;
+const ENCRYPT_ENVELOPE = process.env.INTAKE_ENCRYPT_ENVELOPE !== 'false';
+// Subaddress delimiters (local+tag@domain) for domains without their own
+// domain_settings; '' disables subaddressing
+const SUBADDRESS_DELIMITERS = process.env.SUBADDRESS_DELIMITERS ?? '+';
 const pool = new Pool({ connectionString: DATABASE_URL });
 
-// Accept raw RFC822 payloads
-app.use(express.raw({ type: '*/*', limit: '25mb' }));
+// Sender authentication (SPF, DKIM, DMARC) before encryption: the verdict is
+// written into the plaintext as Authentication-Results under AUTHSERV_ID and
+// kept in headers_meta.auth. INTAKE_DNS_SERVERS ("ip" or "ip:port", comma-
+// separated) replaces the system resolvers, e.g. with a local stand-in.
+const AUTH_CHECKS = process.env.INTAKE_AUTH_CHECKS !== 'false';
+const AUTHSERV_ID = process.env.INTAKE_AUTHSERV_ID || LMTP_HOSTNAME;
+const resolver = createResolver({
+  servers: (process.env.INTAKE_DNS_SERVERS || '').split(',').map((s) => s.trim()).filter(Boolean),
+  timeoutMs: Number(process.env.INTAKE_DNS_TIMEOUT_MS || 5000),
+});
 
-function ensureDirectory(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true, mode: 0o755 });
-  }
-}
+// Durable queue between acknowledging a message and delivering it: the
+// worker retries with exponential backoff and dead-letters a job after
+// INTAKE_SPOOL_MAX_ATTEMPTS failed attempts
+const spool = new Spool(process.env.INTAKE_SPOOL_DIR || '/var/spool/encimap');
+const SPOOL_MAX_ATTEMPTS = Number(process.env.INTAKE_SPOOL_MAX_ATTEMPTS || 12);
+const SPOOL_RETRY_BASE_MS = Number(process.env.INTAKE_SPOOL_RETRY_BASE_MS || 30000);
+const SPOOL_RETRY_MAX_MS = 60 * 60 * 1000;
+const SPOOL_POLL_MS = Number(process.env.INTAKE_SPOOL_POLL_MS || 5000);
+// Accept mail for a vaultbox without usable certificate and keep the
+// plaintext in the spool until one is added (at most INTAKE_QUARANTINE_HOURS)
+// instead of deferring it
+const QUARANTINE_NO_CERTS = process.env.INTAKE_QUARANTINE_NO_CERTS !== 'false';
+const QUARANTINE_MAX_MS = Number(process.env.INTAKE_QUARANTINE_HOURS || 72) * 60 * 60 * 1000;
 
-function generateMaildirFilename() {
-  const now = Date.now();
-  const rand = Math.floor(Math.random() * 1e9);
-  return `${now}.${rand}.encimap:2,`;
-}
+// A message arriving again for the same vaultbox within this window is
+// acknowledged as a duplicate (0 disables); the HMAC secret is set at startup
+const dedup = new DedupService(pool, {
+  windowSeconds: Number(process.env.INTAKE_DEDUP_WINDOW_HOURS ?? 24) * 60 * 60,
+});
 
-function parseMetaFromRfc822(buffer) {
-  try {
-    const text = buffer.toString('utf8');
-    const headerPart = text.split(/\r?\n\r?\n/, 1)[0] || '';
-    const lines = headerPart.split(/\r?\n/);
-    let fromDomain = null;
-    let toAlias = null;
-    for (const l of lines) {
-      const low = l.toLowerCase();
-      if (low.startsWith('from:')) {
-        const m = l.match(/[\w.+-]+@([A-Za-z0-9.-]+)/);
-        if (m && m[1]) fromDomain = m[1].toLowerCase();
-      }
-      if (low.startsWith('to:')) {
-        const m = l.match(/([\w.+-]+)@/);
-        if (m && m[1]) toAlias = m[1].toLowerCase();
-      }
+// Storage quotas: per-vaultbox (limits.storage_quota_bytes, else this default;
+// 0 = none) and the plan's storage_gb per user when the Motorical DB is configured
+const userAdapter = process.env.MOTORICAL_DATABASE_URL
+  ? new MotoricaUserAdapter({
+    storageAdapter: new PostgreSQLStorageAdapter({ url: DATABASE_URL, poolSize: 2 }),
+    motoricalStorageAdapter: new PostgreSQLStorageAdapter({ url: process.env.MOTORICAL_DATABASE_URL, poolSize: 2 }),
+  })
+  : null;
+// Routes of dynamically provisioned vaultboxes: the transport file, or with
+// INTAKE_MTA_MODE=socketmap the mta_routes table the lookup server reads
+const mtaConfig = {
+  storageAdapter: new PostgreSQLStorageAdapter({ url: DATABASE_URL, poolSize: 2 }),
+  socketmap: process.env.MAPS_LISTEN,
+};
+const MTA_MODE = process.env.INTAKE_MTA_MODE || 'files';
+const mta = MTA_MODE === 'socketmap'
+  ? new PostfixSocketmapMTAAdapter(mtaConfig)
+  : new PostfixMTAAdapter(mtaConfig);
+
+const quota = new QuotaService(pool, userAdapter, {
+  vaultboxQuotaBytes: Number(process.env.INTAKE_VAULTBOX_QUOTA_BYTES || 0),
+  warnThresholds: (process.env.INTAKE_QUOTA_WARN_THRESHOLDS || '80,95').split(',').map(Number).filter((t) => t > 0),
+  tempfail: process.env.INTAKE_QUOTA_FULL_TEMPFAIL === 'true',
+  messageLimitPolicy: process.env.INTAKE_MESSAGE_LIMIT_POLICY || 'soft',
+});
+
+// Request bodies are raw RFC822 and are streamed straight into encryption,
+// so no body parser is installed here.
+
+// Counts plaintext bytes, fails once maxBytes (message_too_large) or
+// quotaBytes (over_quota) is exceeded and keeps the header block so metadata
+// can be parsed without buffering the message.
+class IntakeMeter extends Transform {
+  constructor(maxBytes, quotaBytes = Infinity) {
+    super();
+    this.maxBytes = maxBytes;
+    this.quotaBytes = quotaBytes;
+    this.bytes = 0;
+    this.head = Buffer.alloc(0);
+    this.attachments = new AttachmentScanner();
+    this.hash = crypto.createHash('sha256');
+  }
+
+  _transform(chunk, _enc, callback) {
+    this.bytes += chunk.length;
+    if (this.bytes > this.maxBytes) {
+      const err = new Error(`message exceeds ${this.maxBytes} bytes`);
+      err.code = 'message_too_large';
+      return callback(err);
+    }
+    if (this.bytes > this.quotaBytes) {
+      const err = new Error(`message exceeds the ${this.quotaBytes} bytes left in the quota`);
+      err.code = 'over_quota';
+      return callback(err);
     }
-    return { fromDomain, toAlias };
-  } catch (_) {
-    return { fromDomain: null, toAlias: null };
+    if (this.head.length < HEADER_CAPTURE_BYTES) {
+      this.head = Buffer.concat([this.head, chunk.subarray(0, HEADER_CAPTURE_BYTES - this.head.length)]);
+    }
+    this.attachments.push(chunk);
+    this.hash.update(chunk);
+    callback(null, chunk);
   }
-}
 
-function writeTempFile(prefix, content) {
-  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
-  const file = path.join(tmp, 'data.pem');
-  fs.writeFileSync(file, content);
-  return { dir: tmp, file };
+  _flush(callback) {
+    this.attachments.end();
+    callback();
+  }
 }
 
-function runOpenSSLEncrypt(inputBuffer, certPaths) {
-  return new Promise((resolve, reject) => {
-    const args = ['smime', '-encrypt', '-aes256', '-binary', '-outform', 'SMIME', ...certPaths];
-    const proc = execFile('openssl', args, { maxBuffer: 15 * 1024 * 1024 }, (err, stdout, stderr) => {
-      if (err) return reject(new Error(stderr?.toString() || err.message));
-      resolve(Buffer.from(stdout));
-    });
-    proc.stdin.on('error', () => {});
-    proc.stdin.end(inputBuffer);
-  });
+// Sender domain for the index: From, else Sender, else Return-Path. The
+// To: alias is only a fallback for deliveries without an envelope.
+function parseMetaFromRfc822(headers) {
+  const { from, sender, return_path: returnPath } = originatorFields(headers);
+  const origin = from[0]?.address || sender?.address || returnPath || null;
+  const to = parseAddressList(headerValue(headers, 'to'))[0];
+  return {
+    fromDomain: addressDomain(origin),
+    toAlias: to ? addressLocalPart(to.address).toLowerCase() : null,
+  };
 }
 
+// Disabled certs and certs past their scheduled retirement are skipped
 async function getVaultboxCerts(vaultboxId) {
-  const r = await pool.query('SELECT public_cert_pem FROM vaultbox_certs WHERE vaultbox_id = $1 ORDER BY created_at ASC', [vaultboxId]);
+  const r = await pool.query(
+    `SELECT public_cert_pem FROM vaultbox_certs
+     WHERE vaultbox_id = $1 AND active AND (retire_at IS NULL OR retire_at > now())
+     ORDER BY created_at ASC`,
+    [vaultboxId]
+  );
   return r.rows.map(x => x.public_cert_pem);
 }
 
-async function getCertFingerprints(pems) {
-  const fps = [];
-  for (const pem of pems) {
-    await new Promise((resolve) => setImmediate(resolve));
-    const { file, dir } = writeTempFile('encimap-cert', pem);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Per-vaultbox intake settings live in vaultboxes.limits; null if there is no such vaultbox
+async function getVaultboxSettings(vaultboxId) {
+  if (!UUID_PATTERN.test(vaultboxId)) return null;
+  const r = await pool.query('SELECT id, user_id, limits FROM vaultboxes WHERE id = $1', [vaultboxId]);
+  if (!r.rows[0]) return null;
+  const limits = r.rows[0].limits || {};
+  const maxBytes = Number(limits.max_message_bytes);
+  return {
+    vaultbox: r.rows[0],
+    maxBytes: maxBytes > 0 ? maxBytes : MAX_MESSAGE_BYTES,
+    profile: resolveProfile(limits.encryption_profile),
+    indexFields: resolveIndexFields(limits.index_fields ?? INDEX_FIELDS),
+    encryptEnvelope: limits.encrypt_envelope ?? ENCRYPT_ENVELOPE,
+  };
+}
+
+// Answer with a `[status, body]` result and discard whatever the client still sends
+function send(req, res, [status, body]) {
+  if (!body.ok) req.resume();
+  return res.status(status).json(body);
+}
+
+// Answer with a delivery outcome (pkg/dsn)
+function reply(req, res, outcome, extra) {
+  return send(req, res, deliveryResult(outcome, extra));
+}
+
+// Over quota: 507 (storage) or 429 (monthly message cap); the verdict
+// carries the SMTP reply (452 4.2.2 or 552 5.2.2)
+function overQuotaResult(vaultboxId, verdict) {
+  const status = verdict.scope === 'messages' ? 429 : 507;
+  const message = verdict.scope === 'messages' ? 'monthly message limit reached' : 'mailbox full';
+  console.warn(`[encimap-intake] Vaultbox ${vaultboxId} rejected: ${verdict.error} (${verdict.scope})`);
+  return [status, { ...verdict, message }];
+}
+
+// Anything unexpected (database, encryption, disk) is transient to the MTA
+function replyFailure(req, res, error) {
+  if (error.code === 'unknown_domain') return reply(req, res, 'unknown_domain');
+  return reply(req, res, 'backend_unavailable', { detail: error.message });
+}
+
+// Client address as Postfix passes it (${client_address}, XFORWARD ADDR);
+// null when unknown
+function clientAddress(value) {
+  const address = String(value ?? '').trim().replace(/^IPv6:/i, '');
+  return address && address.toLowerCase() !== 'unknown' && !address.startsWith('[') ? address : null;
+}
+
+// SMTP envelope passed by the pipe: ?mail_from=&rcpt_to= (rcpt_to repeated or
+// comma-separated) or the X-Envelope-From / X-Envelope-To headers. mailFrom
+// is null when not given and '' for the null sender. The sending client, for
+// the SPF check, is ?client_address=&helo= or X-Client-Address / X-Client-Helo.
+function parseEnvelope(req) {
+  const addresses = (value) => [].concat(value ?? [])
+    .flatMap((v) => String(v).split(','))
+    .map((a) => a.trim().replace(/^<(.*)>$/, '$1').toLowerCase())
+    .filter(Boolean);
+  const sender = req.query.mail_from ?? req.headers['x-envelope-from'];
+  return {
+    mailFrom: sender === undefined ? null : (addresses(sender)[0] || ''),
+    rcptTo: [...new Set(addresses(req.query.rcpt_to ?? req.headers['x-envelope-to']))],
+    clientAddress: clientAddress(req.query.client_address ?? req.headers['x-client-address']),
+    helo: String(req.query.helo ?? req.headers['x-client-helo'] ?? '').trim() || null,
+  };
+}
+
+async function subaddressDelimiters(domain) {
+  const r = await pool.query('SELECT subaddress_delimiters FROM domain_settings WHERE domain = $1', [domain]);
+  return r.rows[0]?.subaddress_delimiters ?? SUBADDRESS_DELIMITERS;
+}
+
+// Base local part and tag of a subaddressed recipient, or null. An address
+// that is a vaultbox or alias of its own ("sales-eu" next to "sales") is not
+// split.
+async function subaddressOf(localPart, domain) {
+  const sub = splitSubaddress(localPart, await subaddressDelimiters(domain));
+  if (!sub || await findVaultboxByAddress(localPart, domain)) return null;
+  return sub;
+}
+
+function addTag(target, tag) {
+  if (tag && !target.tags.includes(tag)) target.tags.push(tag);
+}
+
+// Group envelope recipients by the vaultbox `lookup(localPart, domain)`
+// resolves them to (`{ id, alias_id }`), subaddresses by their base address;
+// a recipient that does not resolve fails on its own
+async function resolveRecipients(recipients, lookup) {
+  const targets = new Map();
+  const failed = [];
+  for (const address of recipients) {
+    const at = address.lastIndexOf('@');
+    if (at < 1 || at === address.length - 1) {
+      failed.push({ vaultbox_id: null, recipients: [address], result: deliveryResult('bad_address') });
+      continue;
+    }
+    const domain = address.slice(at + 1);
+    const sub = await subaddressOf(address.slice(0, at), domain);
+    let found;
     try {
-      await new Promise((resolve, reject) => {
-        execFile('openssl', ['x509', '-in', file, '-noout', '-fingerprint', '-sha256'], (err, stdout, stderr) => {
-          if (err) return reject(new Error(stderr?.toString() || err.message));
-          const line = String(stdout || '').trim();
-          const val = line.split('=')[1]?.replace(/:/g, '') || '';
-          fps.push(`sha256:${val}`);
-          resolve();
-        });
-      });
-    } finally {
-      try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+      found = await lookup(sub ? sub.base : address.slice(0, at), domain);
+    } catch (error) {
+      if (error.code !== 'unknown_domain') throw error;
+      failed.push({ vaultbox_id: null, recipients: [address], result: deliveryResult('unknown_domain') });
+      continue;
+    }
+    if (!found) {
+      failed.push({ vaultbox_id: null, recipients: [address], result: deliveryResult('unknown_vaultbox') });
+      continue;
     }
+    if (!targets.has(found.id)) targets.set(found.id, { vaultboxId: found.id, recipients: [], tags: [], aliasId: null });
+    const target = targets.get(found.id);
+    target.recipients.push(address);
+    target.aliasId ??= found.alias_id ?? null;
+    addTag(target, sub?.tag);
   }
-  return fps;
+  return { targets: [...targets.values()], failed };
+}
+
+// Recipients Postfix routed to a named vaultbox: its own address or one of
+// its aliases, possibly subaddressed. Postfix strips every delimiter
+// configured for any domain before the transport lookup, so a subaddress
+// with a delimiter this domain does not allow fails here. Recipients in
+// other domains, or for a domain-wide route, pass as they are.
+async function resolveNamedRecipients(vaultboxId, recipients) {
+  const target = { vaultboxId, recipients: [], tags: [], aliasId: null };
+  const failed = [];
+  const r = UUID_PATTERN.test(vaultboxId)
+    ? await pool.query('SELECT alias, domain FROM vaultboxes WHERE id = $1', [vaultboxId])
+    : { rows: [] };
+  const vaultbox = r.rows[0];
+  // Local part -> alias id (null for the vaultbox's own address)
+  const localParts = new Map();
+  if (vaultbox?.alias) {
+    localParts.set(vaultbox.alias.toLowerCase(), null);
+    const aliases = await pool.query(
+      'SELECT id, alias_email FROM simple_mailbox_aliases WHERE vaultbox_id = $1 AND active',
+      [vaultboxId]
+    );
+    for (const alias of aliases.rows) localParts.set(addressLocalPart(alias.alias_email).toLowerCase(), alias.id);
+  }
+  let catchall = null;
+  for (const address of recipients) {
+    let localPart = addressLocalPart(address);
+    if (localParts.size > 0 && addressDomain(address) === vaultbox.domain) {
+      if (!localParts.has(localPart)) {
+        const sub = splitSubaddress(localPart, await subaddressDelimiters(vaultbox.domain));
+        if (sub && localParts.has(sub.base)) {
+          localPart = sub.base;
+        } else {
+          // Anything else in the domain only if this is its catch-all
+          catchall ??= (await findCatchallVaultbox(vaultbox.domain))?.id === vaultboxId;
+          if (!catchall) {
+            failed.push({ vaultbox_id: vaultboxId, recipients: [address], result: deliveryResult('unknown_vaultbox') });
+            continue;
+          }
+        }
+        addTag(target, sub?.tag);
+      }
+      target.aliasId ??= localParts.get(localPart) ?? null;
+    }
+    target.recipients.push(address);
+  }
+  // Nothing left to deliver when every named recipient failed
+  const targets = recipients.length > 0 && target.recipients.length === 0 ? [] : [target];
+  return { targets, failed };
+}
+
+// Encrypted vaultbox receiving mail for an address, by its own address or a
+// receive-only alias, as `{ id, alias_id }`; null if none
+async function findVaultboxByAddress(localPart, domain) {
+  const r = await pool.query(
+    `SELECT id, NULL::uuid AS alias_id FROM vaultboxes
+     WHERE domain = $1 AND alias = $2 AND COALESCE(mailbox_type, 'encrypted') <> 'simple'
+     UNION ALL
+     SELECT v.id, a.id FROM simple_mailbox_aliases a JOIN vaultboxes v ON v.id = a.vaultbox_id
+     WHERE a.alias_email = $2 || '@' || $1 AND a.active AND COALESCE(v.mailbox_type, 'encrypted') <> 'simple'
+     LIMIT 1`,
+    [domain, localPart]
+  );
+  return r.rows[0] || null;
+}
+
+// Encrypted catch-all of a domain: the vaultbox receiving mail for local
+// parts that match no vaultbox or alias, as `{ id, alias_id }`; null if none
+async function findCatchallVaultbox(domain) {
+  const r = await pool.query(
+    `SELECT v.id, NULL::uuid AS alias_id FROM domain_settings s JOIN vaultboxes v ON v.id = s.catchall_vaultbox_id
+     WHERE s.domain = $1 AND COALESCE(v.mailbox_type, 'encrypted') <> 'simple'`,
+    [domain]
+  );
+  return r.rows[0] || null;
+}
+
+async function findVaultboxOrCatchall(localPart, domain) {
+  return (await findVaultboxByAddress(localPart, domain)) || findCatchallVaultbox(domain);
 }
 
 // Dynamic vaultbox provisioning endpoint
 app.post('/intake/dynamic', async (req, res) => {
   try {
+    const envelope = parseEnvelope(req);
     const emailAddress = String(req.query.email || '').trim().toLowerCase();
-    if (!emailAddress) {
-      return res.status(400).json({ ok: false, error: 'missing email address' });
+    const recipients = envelope.rcptTo.length > 0 ? envelope.rcptTo : [emailAddress].filter(Boolean);
+    if (recipients.length === 0) {
+      return reply(req, res, 'bad_request', { detail: 'missing email address' });
     }
 
-    // Parse email address
-    const [localPart, domain] = emailAddress.split('@');
-    if (!localPart || !domain) {
-      return res.status(400).json({ ok: false, error: 'invalid email format' });
-    }
-
-    // Find or create vaultbox for this email address
-    let vaultboxId = await findOrCreateVaultbox(localPart, domain);
-    
-    return await processEmailToVaultbox(vaultboxId, req.body, res);
+    // Find or create a vaultbox for every recipient address
+    const resolved = await resolveRecipients(recipients, findOrCreateVaultbox);
+    return await processEmailToVaultboxes(resolved, envelope, req, res);
   } catch (error) {
     console.error('[encimap-intake] Dynamic processing error:', error);
-    return res.status(500).json({ ok: false, error: error.message });
+    return replyFailure(req, res, error);
   }
 });
 
+// The vaultbox is either named (Postfix already routed the recipients to it)
+// or resolved from the envelope recipients
 app.post('/intake/test', async (req, res) => {
   try {
+    const envelope = parseEnvelope(req);
     const vaultboxId = String(req.query.vaultbox_id || '').trim();
-    if (!vaultboxId) {
-      return res.status(400).json({ ok: false, error: 'missing vaultbox_id' });
+    let resolved;
+    if (vaultboxId) {
+      resolved = await resolveNamedRecipients(vaultboxId, envelope.rcptTo);
+    } else if (envelope.rcptTo.length > 0) {
+      resolved = await resolveRecipients(envelope.rcptTo, findVaultboxOrCatchall);
+    } else {
+      return reply(req, res, 'bad_request', { detail: 'missing vaultbox_id or rcpt_to' });
     }
 
-    return await processEmailToVaultbox(vaultboxId, req.body, res);
+    return await processEmailToVaultboxes(resolved, envelope, req, res);
   } catch (error) {
     console.error('[encimap-intake] Processing error:', error);
-    return res.status(500).json({ ok: false, error: error.message });
+    return replyFailure(req, res, error);
   }
 });
 
 // Helper function to find or create vaultbox
 async function findOrCreateVaultbox(localPart, domain) {
   try {
-    // First, try to find existing vaultbox with this exact alias
+    // A domain with an encrypted catch-all is never provisioned into
+    const known = await findVaultboxOrCatchall(localPart, domain);
+    if (known) return known;
+
+    // Then any other vaultbox with this exact alias
     const existing = await pool.query(
       'SELECT id FROM vaultboxes WHERE domain = $1 AND alias = $2',
       [domain, localPart]
@@ -145,7 +428,7 @@ async function findOrCreateVaultbox(localPart, domain) {
     
     if (existing.rows.length > 0) {
       console.log(`[encimap-intake] Found existing vaultbox for ${localPart}@${domain}: ${existing.rows[0].id}`);
-      return existing.rows[0].id;
+      return { id: existing.rows[0].id, alias_id: null };
     }
 
     // Get the user_id from any existing vaultbox for this domain
@@ -155,7 +438,9 @@ async function findOrCreateVaultbox(localPart, domain) {
     );
     
     if (domainVaultbox.rows.length === 0) {
-      throw new Error(`No user found for domain ${domain}`);
+      const err = new Error(`No user found for domain ${domain}`);
+      err.code = 'unknown_domain';
+      throw err;
     }
     
     const userId = domainVaultbox.rows[0].user_id;
@@ -175,96 +460,552 @@ async function findOrCreateVaultbox(localPart, domain) {
     // Update transport mapping
     await updateTransportMapping(localPart, domain, newVaultboxId);
     
-    return newVaultboxId;
+    return { id: newVaultboxId, alias_id: null };
   } catch (error) {
     console.error('[encimap-intake] Error in findOrCreateVaultbox:', error);
     throw error;
   }
 }
 
-// Helper function to update Postfix transport mapping
+// Route a newly provisioned vaultbox through the same MTA adapter as the API
 async function updateTransportMapping(localPart, domain, vaultboxId) {
   try {
-    const { execFile } = require('child_process');
-    const { promisify } = require('util');
-    const run = promisify(execFile);
-    
-    const transportEntry = `${localPart}@${domain}\tencimap-pipe:${vaultboxId}`;
-    
-    // Add the new mapping to transport file
-    await run('bash', ['-c', `echo "${transportEntry}" >> /etc/postfix/transport`]);
-    
-    // Rebuild transport map
-    await run('postmap', ['/etc/postfix/transport']);
-    
-    // Reload Postfix
-    await run('systemctl', ['reload', 'postfix']);
-    
-    console.log(`[encimap-intake] Updated transport mapping: ${transportEntry}`);
+    await mta.addEmailRoute(`${localPart}@${domain}`, vaultboxId);
+    if (MTA_MODE !== 'socketmap') await mta.reloadConfiguration();
   } catch (error) {
+    // The message is still delivered; the route can be added through the API
     console.error('[encimap-intake] Error updating transport mapping:', error);
-    // Don't throw - email can still be processed even if transport update fails
   }
 }
 
-// Extract email processing logic into reusable function  
-async function processEmailToVaultbox(vaultboxId, emailBody, res) {
+// Subject, full From and the envelope sender stay readable only to the
+// vaultbox key holders
+async function sealSensitiveHeaders(headers, pems, profile, encryptEnvelope, envelopeFrom) {
+  if (!encryptEnvelope) return null;
+  const sealed = await encryptCMS({
+    recipientsPEM: pems,
+    rawRfc822: JSON.stringify({ ...sensitiveHeaders(headers), envelope_from: envelopeFrom ?? null }),
+    outform: 'DER',
+    profile: profile.name,
+  });
+  return Buffer.from(sealed).toString('base64');
+}
+
+// Checks that need no message data: vaultbox, certificate, declared size,
+// quota. Returns the delivery to stream, or `{ result }` if refused. The
+// declared size is often unknown (0), so the delivery also carries the
+// quota left for its meter.
+async function prepareDelivery(target, declaredBytes) {
+  const { vaultboxId } = target;
+  const settings = await getVaultboxSettings(vaultboxId);
+  if (!settings) {
+    return { result: deliveryResult('unknown_vaultbox') };
+  }
+
+  // Without a usable cert the message is quarantined (or deferred)
+  const pems = await getVaultboxCerts(vaultboxId);
+  const quarantined = pems.length === 0;
+  if (quarantined && !QUARANTINE_NO_CERTS) {
+    return { result: deliveryResult('no_certificates') };
+  }
+
+  if (declaredBytes > settings.maxBytes) {
+    return { result: deliveryResult('message_too_large', { max_bytes: settings.maxBytes }) };
+  }
+
+  const usage = quota.withReserved(settings.vaultbox, await quota.usage(settings.vaultbox));
+  const verdict = quota.check(usage, declaredBytes);
+  if (!verdict.ok) {
+    return { result: overQuotaResult(vaultboxId, verdict) };
+  }
+  return { ...target, settings, pems, quarantined, usage, quotaBytes: quota.remaining(usage) };
+}
+
+// Jobs whose dedup claim is still being taken; the spool worker skips them
+const claiming = new Set();
+
+// Drop a stored job that is not to be delivered after all
+async function discardJob(id) {
+  quota.release(id);
+  await spool.complete(id).catch((err) => {
+    console.error(`[encimap-intake] Failed to discard job ${id}:`, err.message);
+  });
+}
+
+// Encrypt one copy into the spool as it streams through `meter`. `received`
+// is what authenticateMessage found, if it ran. Once the copy is stored it
+// is admitted against the quota again, as concurrent deliveries all passed
+// the same pre-check, and stays reserved until delivered. The quota counts
+// stored bytes (the S/MIME payload, as messages.size_bytes); the plaintext
+// sizes checked before are never larger, so they only refuse what cannot fit.
+// The dedup key is claimed only once the job is durable: a claim taken first
+// would outlive a crash before the record is written, and the sender's retry
+// would be answered as a duplicate of a message that was never delivered.
+async function spoolDelivery(delivery, meter, envelope, received) {
+  const { vaultboxId, recipients, tags, aliasId, settings, pems, quarantined, usage } = delivery;
+  const { profile, indexFields, encryptEnvelope, maxBytes } = settings;
+  const streams = quarantined
+    ? [meter]
+    : [meter, createEncryptStream({ recipientsPEM: pems, outform: 'SMIME', profile: profile.name })];
+  let dedupKey = null;
+  let reserved = null;
+  let job;
   try {
-    const maildirNew = path.join(MAILDIR_ROOT, vaultboxId, 'Maildir', 'new');
-    ensureDirectory(path.join(MAILDIR_ROOT, vaultboxId, 'Maildir'));
-    ensureDirectory(maildirNew);
-
-    const filename = generateMaildirFilename();
-    const outPath = path.join(maildirNew, filename);
-    const inputBuf = Buffer.isBuffer(emailBody) ? emailBody : Buffer.from(String(emailBody || ''), 'utf8');
-
-    // Fetch certs; require at least one
-    const pems = await getVaultboxCerts(vaultboxId);
-    if (pems.length === 0) {
-      return res.status(400).json({ ok: false, error: 'no_certificates' });
+    job = await spool.enqueue(streams, async (spoolId, storedBytes) => {
+      const headers = parseHeaderBlock(meter.head);
+      const { fromDomain, toAlias } = parseMetaFromRfc822(headers);
+      const { messageId, headersMeta } = extractIndexMetadata(headers, {
+        fields: indexFields,
+        bytes: meter.bytes,
+        hasAttachment: meter.attachments.found,
+        auth: received?.auth,
+      });
+      if (dedup.enabled) {
+        dedupKey = dedup.key(vaultboxId, messageId, received ? received.hash : meter.hash.digest());
+      }
+      const verdict = quota.admit(settings.vaultbox, await quota.usage(settings.vaultbox), spoolId, storedBytes);
+      if (!verdict.ok) {
+        const err = new Error('over quota');
+        err.code = 'over_quota';
+        err.verdict = verdict;
+        throw err;
+      }
+      reserved = spoolId;
+      if (dedupKey) claiming.add(spoolId);
+      const encryptedMeta = quarantined
+        ? null
+        : await sealSensitiveHeaders(headers, pems, profile, encryptEnvelope, envelope.mailFrom);
+      return {
+        vaultbox_id: vaultboxId,
+        kind: quarantined ? 'quarantined' : 'encrypted',
+        profile: profile.name,
+        recipients: pems.map(certFingerprint),
+        message_id: messageId,
+        from_domain: fromDomain,
+        // The envelope recipient is authoritative; the To: guess is a fallback
+        to_alias: recipients.length > 0 ? addressLocalPart(recipients[0]) : toAlias,
+        envelope_to: recipients.length > 0 ? recipients : null,
+        // Subaddress tags the message was sent to (local+tag@domain)
+        tags,
+        // Receive-only alias the message arrived on, if any
+        alias_id: aliasId ?? null,
+        // Kept in clear only until sealed into encrypted_meta
+        envelope_from: encryptedMeta ? null : envelope.mailFrom,
+        headers_meta: headersMeta,
+        encrypted_meta: encryptedMeta,
+      };
+    });
+  } catch (err) {
+    if (reserved) {
+      quota.release(reserved);
+      claiming.delete(reserved);
     }
+    if (err.code === 'message_too_large') return deliveryResult('message_too_large', { max_bytes: maxBytes });
+    if (err.code === 'over_quota') return overQuotaResult(vaultboxId, err.verdict || quota.check(usage, meter.bytes));
+    console.error(`[encimap-intake] Error spooling message for vaultbox ${vaultboxId}:`, err);
+    return deliveryResult('backend_unavailable', { detail: err.message });
+  }
 
-    // Write certs to temp files for openssl
-    const tmpDirs = [];
-    const certPaths = [];
+  if (dedupKey) {
     try {
-      for (const pem of pems) {
-        const { dir, file } = writeTempFile('encimap-cert', pem);
-        tmpDirs.push(dir);
-        certPaths.push(file);
+      if (!(await dedup.claim(vaultboxId, dedupKey, job.id))) {
+        await discardJob(job.id);
+        console.log(`[encimap-intake] Duplicate message for vaultbox ${vaultboxId} skipped`);
+        return deliveryResult('duplicate', { duplicate: true });
       }
+    } catch (err) {
+      await discardJob(job.id);
+      console.error(`[encimap-intake] Error claiming message for vaultbox ${vaultboxId}:`, err);
+      return deliveryResult('backend_unavailable', { detail: err.message });
+    } finally {
+      claiming.delete(job.id);
+    }
+  }
+  if (quarantined) {
+    console.warn(`[encimap-intake] Vaultbox ${vaultboxId} has no certificate; message quarantined as ${job.id}`);
+  }
+  return deliveryResult('queued', { queue_id: job.id, bytes: job.bytes, quarantined });
+}
 
-      const encBuf = await runOpenSSLEncrypt(inputBuf, certPaths);
-      fs.writeFileSync(outPath, encBuf, { mode: 0o644 });
-
-      // Parse metadata and insert DB row
-      const { fromDomain, toAlias } = parseMetaFromRfc822(inputBuf);
-      const fps = await getCertFingerprints(pems);
-      const storage = {
-        maildir_path: outPath,
-        bytes: encBuf.length,
-        alg: 'smime-aes256',
-        recipients: fps,
-      };
-      await pool.query(
-        'INSERT INTO messages (vaultbox_id, from_domain, to_alias, size_bytes, storage) VALUES ($1,$2,$3,$4,$5)',
-        [vaultboxId, fromDomain, toAlias, encBuf.length, storage]
-      );
+// One answer for all copies: any temporary failure defers the whole message
+// (copies already spooled are recognised as duplicates on the retry),
+// otherwise one accepted copy accepts it; with a single vaultbox this is
+// just that vaultbox's result.
+function combineResults(results) {
+  const pick = (result) => result[1];
+  const temporary = results.find(({ result }) => String(pick(result).enhanced_code).startsWith('4.'));
+  const accepted = results.filter(({ result }) => pick(result).ok);
+  let chosen;
+  if (temporary) chosen = temporary.result;
+  else if (accepted.length > 0) chosen = accepted.find(({ result }) => !pick(result).duplicate)?.result || accepted[0].result;
+  else chosen = results[0].result;
+  if (results.length === 1) return chosen;
 
-      return res.json({ ok: true, path: outPath, bytes: encBuf.length });
-    } finally {
-      for (const d of tmpDirs) {
-        try { fs.rmSync(d, { recursive: true, force: true }); } catch {}
-      }
+  const [status, body] = chosen;
+  const { queue_id, bytes, quarantined, duplicate, ...summary } = body;
+  return [status, {
+    ...summary,
+    deliveries: results.map(({ vaultbox_id, recipients, result }) => ({ vaultbox_id, recipients, ...pick(result) })),
+  }];
+}
+
+// ====================================================================
+// SENDER AUTHENTICATION
+// ====================================================================
+
+// DKIM is decided at the end of the body, but its result belongs at the top
+// of the plaintext. The message is therefore read once into the spool's
+// tmp/, encrypted under a key that only lives in memory, checked, and
+// replayed with Authentication-Results on top. Resolves with the replay,
+// the summary for headers_meta and the hash of the message as received (for
+// dedup, so a retry matches whatever DNS answered); a failed read is thrown
+// (message_too_large from the meter).
+async function authenticateMessage(source, envelope, maxBytes) {
+  const key = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const file = path.join(spool.root, 'tmp', `auth-${crypto.randomBytes(8).toString('hex')}`);
+  const meter = new IntakeMeter(maxBytes);
+  const authenticator = new MessageAuthenticator();
+  source.on('error', (err) => meter.destroy(err));
+  source.pipe(meter);
+  try {
+    await pipeline(meter, authenticator, crypto.createCipheriv('aes-256-ctr', key, iv), fs.createWriteStream(file, { mode: 0o600 }));
+  } catch (err) {
+    source.unpipe(meter);
+    source.resume();
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  }
+  // Unlinked once open, so nothing is left behind however the replay ends
+  const staged = await fs.promises.open(file, 'r');
+  await fs.promises.rm(file, { force: true });
+
+  // A failed check must not cost the message: it is delivered unmarked
+  let results = null;
+  try {
+    results = await authenticator.verify({
+      resolver, ip: envelope.clientAddress, helo: envelope.helo, mailFrom: envelope.mailFrom,
+    });
+  } catch (error) {
+    console.error('[encimap-intake] Sender authentication failed:', error);
+  }
+  const field = results ? formatAuthenticationResults(AUTHSERV_ID, results) : null;
+  const replay = field ? new AuthenticationResultsStream(field, AUTHSERV_ID) : new PassThrough();
+  staged.createReadStream()
+    .on('error', (err) => replay.destroy(err))
+    .pipe(crypto.createDecipheriv('aes-256-ctr', key, iv))
+    .pipe(replay);
+  return {
+    source: replay,
+    auth: results ? authenticationSummary(results) : null,
+    hash: meter.hash.digest(),
+    // At most what the header adds, so size limits apply to the message as received
+    addedBytes: field ? Buffer.byteLength(field) + 2 : 0,
+  };
+}
+
+// Spool one copy of `source` per target: each copy has its own size limit,
+// metadata and encryption, fed from the same stream. Resolves with
+// `{ vaultbox_id, recipients, result }` per target (and per failed
+// recipient) once the stream is consumed.
+async function spoolToTargets({ targets, failed }, envelope, source, declaredBytes) {
+  const results = [...failed];
+  const deliveries = [];
+  for (const target of targets) {
+    const prepared = await prepareDelivery(target, declaredBytes);
+    if (prepared.result) {
+      results.push({ vaultbox_id: target.vaultboxId, recipients: target.recipients, result: prepared.result });
+    } else {
+      deliveries.push(prepared);
+    }
+  }
+  if (deliveries.length === 0) return results;
+
+  let received = null;
+  if (AUTH_CHECKS) {
+    try {
+      received = await authenticateMessage(source, envelope, Math.max(...deliveries.map(({ settings }) => settings.maxBytes)));
+      source = received.source;
+    } catch (err) {
+      if (err.code !== 'message_too_large') console.error('[encimap-intake] Error reading message:', err);
+      return [...results, ...deliveries.map((delivery) => ({
+        vaultbox_id: delivery.vaultboxId,
+        recipients: delivery.recipients,
+        result: err.code === 'message_too_large'
+          ? deliveryResult('message_too_large', { max_bytes: delivery.settings.maxBytes })
+          : deliveryResult('backend_unavailable', { detail: err.message }),
+      }))];
     }
+  }
+
+  // The source is piped by hand rather than handed to pipeline() so an
+  // oversized body does not tear down the socket before we can answer.
+  const meters = deliveries.map((delivery) => {
+    const added = received?.addedBytes ?? 0;
+    const meter = new IntakeMeter(delivery.settings.maxBytes + added, delivery.quotaBytes + added);
+    // pipe() re-emits a meter error after pipeline() has let go of it;
+    // spoolDelivery is where it is handled
+    meter.on('error', () => {});
+    return meter;
+  });
+  source.on('error', (err) => meters.forEach((meter) => meter.destroy(err)));
+  meters.forEach((meter) => source.pipe(meter));
+
+  const spooled = await Promise.all(deliveries.map(async (delivery, i) => {
+    const result = await spoolDelivery(delivery, meters[i], envelope, received);
+    if (!result[1].ok) {
+      // A failed copy may have left the source paused for its drain;
+      // keep feeding the others (or discard the rest)
+      source.unpipe(meters[i]);
+      source.resume();
+    }
+    return { vaultbox_id: delivery.vaultboxId, recipients: delivery.recipients, result };
+  }));
+  results.push(...spooled);
+  if (spooled.some(({ result }) => result[1].ok)) kickSpool();
+  return results;
+}
+
+// Size of the request body before it is read: Content-Length, else the
+// ?size= hint a streaming client passes (Postfix's ${size}); 0 if unknown
+function declaredSize(req) {
+  return Number(req.headers['content-length']) || Number(req.query.size) || 0;
+}
+
+// Deliver the request body to every resolved vaultbox and answer for all
+async function processEmailToVaultboxes(resolved, envelope, req, res) {
+  try {
+    const results = await spoolToTargets(resolved, envelope, req, declaredSize(req));
+    return send(req, res, combineResults(results));
   } catch (error) {
     console.error('[encimap-intake] Error processing email to vaultbox:', error);
-    return res.status(500).json({ ok: false, error: error.message });
+    return replyFailure(req, res, error);
   }
 }
 
+// ====================================================================
+// LMTP
+// ====================================================================
+
+// A delivery result as an LMTP reply
+function lmtpReply([, body]) {
+  const text = body.queue_id ? `${body.message} as ${body.queue_id}` : body.message;
+  return { code: body.smtp_code, enhanced: body.enhanced_code, text };
+}
+
+// Recipients are resolved as the /intake/test endpoint does from rcpt_to,
+// one at a time, so each RCPT gets its own answer
+async function lmtpRecipient(address) {
+  const { targets, failed } = await resolveRecipients([address.toLowerCase()], findVaultboxOrCatchall);
+  if (failed.length > 0) return lmtpReply(failed[0].result);
+  return { code: 250, enhanced: '2.1.5', text: 'recipient ok', data: targets[0] };
+}
+
+// One copy per vaultbox as over HTTP, but each recipient is answered with
+// the result of its own copy instead of one combined answer
+async function lmtpData(stream, session) {
+  const targets = new Map();
+  for (const { address, data } of session.recipients) {
+    if (!targets.has(data.vaultboxId)) {
+      targets.set(data.vaultboxId, { vaultboxId: data.vaultboxId, recipients: [], tags: [], aliasId: null });
+    }
+    const target = targets.get(data.vaultboxId);
+    target.recipients.push(address.toLowerCase());
+    target.aliasId ??= data.aliasId;
+    data.tags.forEach((tag) => addTag(target, tag));
+  }
+  const envelope = {
+    mailFrom: session.mailFrom.toLowerCase(),
+    rcptTo: session.recipients.map(({ address }) => address.toLowerCase()),
+    clientAddress: clientAddress(session.xforward.addr),
+    helo: session.xforward.helo || null,
+  };
+  const results = await spoolToTargets({ targets: [...targets.values()], failed: [] }, envelope, stream, session.mailParams.size);
+  const byVaultbox = new Map(results.map(({ vaultbox_id, result }) => [vaultbox_id, result]));
+  return session.recipients.map(({ data }) => lmtpReply(byVaultbox.get(data.vaultboxId)));
+}
+
+const lmtpServer = createLmtpServer({
+  hostname: LMTP_HOSTNAME,
+  maxMessageBytes: MAX_MESSAGE_BYTES,
+  onRecipient: lmtpRecipient,
+  onData: lmtpData,
+  onError: (error) => console.error('[encimap-intake] LMTP error:', error),
+});
+
+// ====================================================================
+// SPOOL WORKER
+// ====================================================================
+
+// A job that can never be delivered skips the remaining retries
+function permanentFailure(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+async function readHead(file) {
+  const fh = await fs.promises.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(HEADER_CAPTURE_BYTES), 0, HEADER_CAPTURE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+// Encrypt a quarantined plaintext in place once the vaultbox has a cert
+async function encryptQuarantined(job, settings) {
+  const pems = await getVaultboxCerts(job.vaultbox_id);
+  if (pems.length === 0) throw new Error('vaultbox has no encryption certificate');
+  const payload = spool.payloadPath('queue', job.id);
+  const headers = parseHeaderBlock(await readHead(payload));
+  Object.assign(job, {
+    kind: 'encrypted',
+    profile: settings.profile.name,
+    recipients: pems.map(certFingerprint),
+    encrypted_meta: await sealSensitiveHeaders(headers, pems, settings.profile, settings.encryptEnvelope, job.envelope_from),
+  });
+  if (job.encrypted_meta) job.envelope_from = null;
+  await spool.replacePayload(job, [
+    fs.createReadStream(payload),
+    createEncryptStream({ recipientsPEM: pems, outform: 'SMIME', profile: settings.profile.name }),
+  ]);
+  // The reservation follows the stored size
+  quota.reserve(settings.vaultbox, job.id, job.bytes);
+}
+
+// Maildir write, then the messages row. Each step is safe to repeat: a
+// written file is remembered in the job and the row is keyed by the job id.
+async function deliverJob(job) {
+  const settings = await getVaultboxSettings(job.vaultbox_id);
+  if (!settings) throw permanentFailure('vaultbox no longer exists');
+  if (job.kind === 'quarantined') await encryptQuarantined(job, settings);
+
+  if (!job.maildir_path) {
+    const delivered = await writeMessageStream(MAILDIR_ROOT, job.vaultbox_id, [
+      fs.createReadStream(spool.payloadPath('queue', job.id)),
+    ]);
+    job.maildir_path = delivered.path;
+    await spool.save(job);
+  }
+
+  const usage = await quota.usage(settings.vaultbox);
+  const storage = {
+    maildir_path: job.maildir_path,
+    bytes: job.bytes,
+    alg: job.profile,
+    recipients: job.recipients,
+    spool_id: job.id,
+  };
+  // An alias deleted since the job was spooled leaves alias_id empty
+  const inserted = await pool.query(
+    `INSERT INTO messages (vaultbox_id, message_id, from_domain, to_alias, size_bytes, storage, headers_meta, encrypted_meta,
+                           envelope_from, envelope_to, tags, alias_id)
+     SELECT $1,$2,$3,$4,$5,$6,$7,$8,$10,$11,$12,
+            (SELECT id FROM simple_mailbox_aliases WHERE id = $13)
+     WHERE NOT EXISTS (SELECT 1 FROM messages WHERE vaultbox_id = $1 AND storage->>'spool_id' = $9)`,
+    [
+      job.vaultbox_id, job.message_id, job.from_domain, job.to_alias, job.bytes, storage, job.headers_meta,
+      job.encrypted_meta ? Buffer.from(job.encrypted_meta, 'base64') : null, job.id,
+      job.envelope_from ?? null, job.envelope_to ?? null, job.tags ?? [], job.alias_id ?? null,
+    ]
+  );
+  await spool.complete(job.id);
+  quota.release(job.id);
+  if (inserted.rowCount === 0) return;
+
+  // Metering and warnings must not fail a message that is already delivered
+  await quota.meter(settings.vaultbox, job.bytes).catch((err) => {
+    console.error('[encimap-intake] Failed to meter usage:', err.message);
+  });
+  await quota.recordDelivery(settings.vaultbox, usage, job.bytes).catch((err) => {
+    console.error('[encimap-intake] Failed to record quota warning:', err.message);
+  });
+}
+
+async function drainSpool() {
+  const now = new Date().toISOString();
+  for (const job of await spool.list('queue')) {
+    if (claiming.has(job.id)) continue;
+    if (job.next_attempt_at > now) {
+      // A job waiting for its retry counts against the quota, also one
+      // queued before a restart or replayed from dead/
+      if (!quota.isReserved(job.id)) {
+        const settings = await getVaultboxSettings(job.vaultbox_id).catch(() => null);
+        if (settings) quota.reserve(settings.vaultbox, job.id, job.bytes);
+      }
+      continue;
+    }
+    try {
+      await deliverJob(job);
+    } catch (error) {
+      // Quarantine waits for a cert by age rather than by attempts
+      const exhausted = job.kind === 'quarantined'
+        ? Date.now() - Date.parse(job.replayed_at || job.created_at) >= QUARANTINE_MAX_MS
+        : job.attempts + 1 >= SPOOL_MAX_ATTEMPTS;
+      if (error.permanent || exhausted) {
+        console.error(`[encimap-intake] Job ${job.id} for vaultbox ${job.vaultbox_id} dead-lettered: ${error.message}`);
+        await spool.deadLetter(job, error);
+        quota.release(job.id);
+      } else {
+        const delay = Math.min(SPOOL_RETRY_BASE_MS * 2 ** job.attempts, SPOOL_RETRY_MAX_MS);
+        console.warn(`[encimap-intake] Job ${job.id} attempt ${job.attempts + 1} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        await spool.retry(job, error, delay);
+      }
+    }
+  }
+}
+
+// One drain at a time; a kick during a drain schedules another right after
+let spoolRun = null;
+let spoolAgain = false;
+function kickSpool() {
+  if (spoolRun) {
+    spoolAgain = true;
+    return;
+  }
+  spoolRun = drainSpool()
+    .catch((error) => console.error('[encimap-intake] Spool run failed:', error.message))
+    .finally(() => {
+      spoolRun = null;
+      if (spoolAgain) {
+        spoolAgain = false;
+        kickSpool();
+      }
+    });
+}
+
+// HMAC secret for dedup keys: INTAKE_DEDUP_KEY, else one generated on first
+// start and kept next to the spool
+async function loadDedupSecret() {
+  if (process.env.INTAKE_DEDUP_KEY) return process.env.INTAKE_DEDUP_KEY;
+  const file = path.join(spool.root, 'dedup.key');
+  try {
+    await fs.promises.writeFile(file, crypto.randomBytes(32), { mode: 0o600, flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+  return fs.promises.readFile(file);
+}
+
+await spool.init();
+dedup.secret = await loadDedupSecret();
+setInterval(kickSpool, SPOOL_POLL_MS);
+kickSpool();
+if (dedup.enabled) {
+  setInterval(() => {
+    dedup.prune().catch((error) => console.error('[encimap-intake] Dedup prune failed:', error.message));
+  }, 60 * 60 * 1000);
+}
+
 // PORT already defined at the top of the file
 app.listen(PORT, () => {
-  console.log(`[encimap-intake] listening on ${PORT}, maildir root ${MAILDIR_ROOT}`);
+  console.log(`[encimap-intake] listening on ${PORT}, maildir root ${MAILDIR_ROOT}, spool ${spool.root}`);
 });
 
+if (LMTP_LISTEN) {
+  await listen(lmtpServer, LMTP_LISTEN);
+  console.log(`[encimap-intake] LMTP listening on ${LMTP_LISTEN}`);
+}
+
@@ -0,0 +1,91 @@
+import { Pool } from 'pg';
+import { createSocketmapServer } from '../../pkg/socketmap/index.mjs';
+import { listen } from '../../pkg/listen/index.mjs';
+
+// Postfix socketmap lookup server: transport, virtual alias and virtual
+// domain lookups answered live from the database, so route changes take
+// effect without rewriting map files or reloading Postfix.
+//
+//   transport_maps          = socketmap:inet:127.0.0.1:10041:transport
+//   virtual_alias_maps      = socketmap:inet:127.0.0.1:10041:virtual_alias
+//   virtual_mailbox_domains = socketmap:inet:127.0.0.1:10041:domains
+
+const DATABASE_URL = process.env.DATABASE_URL;
+// "host:port", "port" or a unix socket path
+const LISTEN = process.env.MAPS_LISTEN || '127.0.0.1:10041';
+// master.cf service names, as in the transport file the files mode writes
+const PIPE_TRANSPORT = process.env.MAPS_PIPE_TRANSPORT || 'encimap-pipe';
+const SIMPLE_TRANSPORT = process.env.MAPS_SIMPLE_TRANSPORT || 'simple-maildir';
+const pool = new Pool({ connectionString: DATABASE_URL });
+
+function transportOf(route) {
+  if (String(route.route_type).startsWith('simple_imap')) {
+    return route.username ? `${SIMPLE_TRANSPORT}:${route.username}` : null;
+  }
+  return `${PIPE_TRANSPORT}:${route.vaultbox_id}`;
+}
+
+// Postfix asks for user+ext@domain, user@domain, then the domain. An
+// address has only its own route; a domain answers with its encrypted
+// catch-all, else a domain-wide route.
+async function lookupTransport(key) {
+  const r = key.includes('@')
+    ? await pool.query(
+      `SELECT vaultbox_id, route_type, options->>'username' AS username FROM mta_routes
+       WHERE email_address = $1 AND active
+       ORDER BY priority DESC, created_at DESC LIMIT 1`,
+      [key]
+    )
+    : await pool.query(
+      `SELECT vaultbox_id, route_type, username FROM (
+         SELECT 0 AS rank, catchall_vaultbox_id AS vaultbox_id, 'encrypted_catchall' AS route_type, NULL AS username
+         FROM domain_settings WHERE domain = $1 AND catchall_vaultbox_id IS NOT NULL
+         UNION ALL
+         (SELECT 1, vaultbox_id, route_type, NULL FROM mta_routes
+          WHERE domain = $1 AND email_address IS NULL AND active
+          ORDER BY priority DESC, created_at DESC LIMIT 1)
+       ) candidates
+       ORDER BY rank LIMIT 1`,
+      [key]
+    );
+  return r.rows[0] ? transportOf(r.rows[0]) : null;
+}
+
+// Aliases of simple mailboxes, and "@domain" for a domain's simple catch-all
+async function lookupVirtualAlias(key) {
+  const r = key.startsWith('@')
+    ? await pool.query('SELECT primary_email FROM virtual_catchall_map WHERE domain = $1 AND enabled', [key.slice(1)])
+    : await pool.query('SELECT primary_email FROM virtual_aliases_map WHERE alias_email = $1 AND active', [key]);
+  return r.rows[0]?.primary_email ?? null;
+}
+
+// A domain is hosted once it has a mailbox or an active route
+async function lookupDomain(key) {
+  const r = await pool.query(
+    `SELECT 1 FROM vaultboxes WHERE domain = $1
+     UNION ALL
+     SELECT 1 FROM mta_routes WHERE domain = $1 AND active
+     LIMIT 1`,
+    [key]
+  );
+  return r.rows.length > 0 ? key : null;
+}
+
+const MAPS = {
+  transport: lookupTransport,
+  virtual_alias: lookupVirtualAlias,
+  domains: lookupDomain,
+};
+
+const server = createSocketmapServer({
+  onLookup: async (map, key) => {
+    if (!MAPS[map]) throw new Error(`unknown map ${map}`);
+    return MAPS[map](key.toLowerCase());
+  },
+  onError: (error, map, key) => {
+    console.error(`[encimap-maps] Lookup ${map} ${key} failed:`, error.message);
+  },
+});
+
+await listen(server, LISTEN);
+console.log(`[encimap-maps] listening on ${LISTEN}`);
@@ -0,0 +1,199 @@
+import { Pool } from 'pg';
+import { createPolicyServer } from '../../pkg/policy/index.mjs';
+import { listen } from '../../pkg/listen/index.mjs';
+import { deliveryResult } from '../../pkg/dsn/index.mjs';
+import { addressDomain, addressLocalPart, splitSubaddress } from '../../pkg/headers/index.mjs';
+import QuotaService from '../core/quota-service.js';
+import { PostgreSQLStorageAdapter } from '../../adapters/implementations/postgresql-storage.js';
+import { MotoricaUserAdapter } from '../../adapters/implementations/motorical-user.js';
+
+// Postfix policy service (check_policy_service) answering at RCPT TO time
+// what intake would only find out after the message is transferred: unknown
+// recipients on hosted domains, suspended or full vaultboxes, and senders
+// over their domain's rate limit. It reads the tables the API writes.
+
+const DATABASE_URL = process.env.DATABASE_URL;
+// "host:port", "port" or a unix socket path
+const LISTEN = process.env.POLICY_LISTEN || '127.0.0.1:10040';
+// Messages per hour from one sender domain (0 = unlimited); sender_rate_limits overrides it
+const SENDER_RATE_PER_HOUR = Number(process.env.POLICY_SENDER_RATE_PER_HOUR || 0);
+// false: leave unknown recipients to intake (e.g. domains with dynamic provisioning)
+const REJECT_UNKNOWN = process.env.POLICY_REJECT_UNKNOWN !== 'false';
+const SUBADDRESS_DELIMITERS = process.env.SUBADDRESS_DELIMITERS ?? '+';
+const pool = new Pool({ connectionString: DATABASE_URL });
+
+// Same quotas as intake, but a full vaultbox is always deferred here: only a
+// message larger than the whole quota is refused outright
+const userAdapter = process.env.MOTORICAL_DATABASE_URL
+  ? new MotoricaUserAdapter({
+    storageAdapter: new PostgreSQLStorageAdapter({ url: DATABASE_URL, poolSize: 2 }),
+    motoricalStorageAdapter: new PostgreSQLStorageAdapter({ url: process.env.MOTORICAL_DATABASE_URL, poolSize: 2 }),
+  })
+  : null;
+const quota = new QuotaService(pool, userAdapter, {
+  vaultboxQuotaBytes: Number(process.env.INTAKE_VAULTBOX_QUOTA_BYTES || 0),
+  tempfail: true,
+  messageLimitPolicy: process.env.INTAKE_MESSAGE_LIMIT_POLICY || 'soft',
+});
+
+// Postfix actions: DUNNO passes the recipient on to the next restriction
+const PASS = 'DUNNO';
+
+function action(smtpCode, enhancedCode, text) {
+  return `${smtpCode} ${enhancedCode} ${text}`;
+}
+
+function outcomeAction(outcome) {
+  const [, body] = deliveryResult(outcome);
+  return action(body.smtp_code, body.enhanced_code, body.message);
+}
+
+// ====================================================================
+// RECIPIENTS
+// ====================================================================
+
+async function isHostedDomain(domain) {
+  const r = await pool.query('SELECT 1 FROM vaultboxes WHERE domain = $1 LIMIT 1', [domain]);
+  return r.rows.length > 0;
+}
+
+// Vaultbox receiving mail for an exact address: a mailbox's own address or
+// an active alias, encrypted or simple
+async function findAddressVaultbox(localPart, domain) {
+  const r = await pool.query(
+    `SELECT id FROM vaultboxes WHERE domain = $1 AND alias = $2
+     UNION ALL
+     SELECT vaultbox_id FROM simple_mailbox_aliases WHERE alias_email = $2 || '@' || $1 AND active
+     LIMIT 1`,
+    [domain, localPart]
+  );
+  return r.rows[0]?.id || null;
+}
+
+// Encrypted catch-all, else the simple one
+async function findCatchallVaultbox(domain) {
+  const r = await pool.query(
+    `SELECT catchall_vaultbox_id AS id FROM domain_settings WHERE domain = $1 AND catchall_vaultbox_id IS NOT NULL
+     UNION ALL
+     SELECT vaultbox_id FROM simple_domain_catchall WHERE domain = $1 AND enabled
+     LIMIT 1`,
+    [domain]
+  );
+  return r.rows[0]?.id || null;
+}
+
+async function subaddressDelimiters(domain) {
+  const r = await pool.query('SELECT subaddress_delimiters FROM domain_settings WHERE domain = $1', [domain]);
+  return r.rows[0]?.subaddress_delimiters ?? SUBADDRESS_DELIMITERS;
+}
+
+// The vaultbox a recipient ends up in, resolved in the order Postfix and
+// intake use: the address, its subaddress base, then the catch-all
+async function resolveRecipient(localPart, domain) {
+  const exact = await findAddressVaultbox(localPart, domain);
+  if (exact) return exact;
+  const sub = splitSubaddress(localPart, await subaddressDelimiters(domain));
+  const base = sub && await findAddressVaultbox(sub.base, domain);
+  return base || findCatchallVaultbox(domain);
+}
+
+async function checkVaultbox(vaultboxId, size) {
+  const r = await pool.query(
+    'SELECT id, user_id, limits, status, mailbox_type FROM vaultboxes WHERE id = $1',
+    [vaultboxId]
+  );
+  const vaultbox = r.rows[0];
+  if (!vaultbox) return null;
+  if (vaultbox.status && vaultbox.status !== 'active') {
+    return action(450, '4.2.1', 'mailbox temporarily disabled');
+  }
+  // Simple mailboxes are delivered by Dovecot, which enforces their quota
+  if (vaultbox.mailbox_type === 'simple') return null;
+
+  const verdict = quota.check(await quota.usage(vaultbox), size);
+  if (!verdict.ok) {
+    const text = verdict.scope === 'messages' ? 'monthly message limit reached' : 'mailbox full';
+    return action(verdict.smtp_code, verdict.enhanced_code, text);
+  }
+  return null;
+}
+
+// ====================================================================
+// SENDER RATE LIMITS
+// ====================================================================
+
+// Verdict per message (Postfix `instance`), so a message is counted once
+// however many recipients it has
+const RATE_VERDICTS_MAX = 10000;
+const rateVerdicts = new Map();
+
+async function senderRateLimit(senderDomain) {
+  const r = await pool.query('SELECT messages_per_hour FROM sender_rate_limits WHERE sender_domain = $1', [senderDomain]);
+  return r.rows[0]?.messages_per_hour ?? SENDER_RATE_PER_HOUR;
+}
+
+async function checkSenderRate(senderDomain, instance) {
+  if (!senderDomain) return null;
+  if (instance && rateVerdicts.has(instance)) return rateVerdicts.get(instance);
+
+  const limit = await senderRateLimit(senderDomain);
+  let verdict = null;
+  if (limit > 0) {
+    const r = await pool.query(
+      `INSERT INTO sender_rate_counters (sender_domain, window_start, messages) VALUES ($1, date_trunc('hour', now()), 1)
+       ON CONFLICT (sender_domain, window_start) DO UPDATE SET messages = sender_rate_counters.messages + 1
+       RETURNING messages`,
+      [senderDomain]
+    );
+    if (r.rows[0].messages > limit) {
+      console.warn(`[encimap-policy] Sender domain ${senderDomain} over its rate limit (${limit}/hour)`);
+      verdict = action(450, '4.7.1', 'sender domain rate limit exceeded, try again later');
+    }
+  }
+
+  if (instance) {
+    if (rateVerdicts.size >= RATE_VERDICTS_MAX) rateVerdicts.delete(rateVerdicts.keys().next().value);
+    rateVerdicts.set(instance, verdict);
+  }
+  return verdict;
+}
+
+async function pruneRateCounters() {
+  await pool.query("DELETE FROM sender_rate_counters WHERE window_start < now() - interval '2 hours'");
+}
+
+// ====================================================================
+// POLICY
+// ====================================================================
+
+async function decide(request) {
+  if (request.request !== 'smtpd_access_policy') return PASS;
+  if (String(request.protocol_state).toUpperCase() !== 'RCPT') return PASS;
+
+  const recipient = String(request.recipient || '').toLowerCase();
+  const localPart = addressLocalPart(recipient);
+  const domain = addressDomain(recipient);
+  if (!localPart || !domain || !(await isHostedDomain(domain))) return PASS;
+
+  const vaultboxId = await resolveRecipient(localPart, domain);
+  if (!vaultboxId) return REJECT_UNKNOWN ? outcomeAction('unknown_vaultbox') : PASS;
+
+  const refused = await checkVaultbox(vaultboxId, Number(request.size) || 0);
+  if (refused) return refused;
+
+  return (await checkSenderRate(addressDomain(request.sender), request.instance)) || PASS;
+}
+
+const server = createPolicyServer({
+  onRequest: decide,
+  onError: (error, request) => {
+    console.error(`[encimap-policy] Policy lookup failed for ${request.recipient}:`, error);
+  },
+});
+
+setInterval(() => {
+  pruneRateCounters().catch((error) => console.error('[encimap-policy] Rate counter prune failed:', error.message));
+}, 60 * 60 * 1000);
+
+await listen(server, LISTEN);
+console.log(`[encimap-policy] listening on ${LISTEN}`);